@@ -0,0 +1,34 @@
+// Example transform hooks for clones and syncs (node index.js clone --hooks hooks.js)
+// Every hook is optional and may be async. Document hooks receive the document data
+// without system fields, with relationships reduced to related document IDs
+
+// Return false to skip a document (any other value, including none, keeps it)
+export function filterDocument(collectionId, data) {
+    if (collectionId === 'orders') {
+        return data.status !== 'test';
+    }
+    return true;
+}
+
+// Return the data to write; a thrown error fails only this document
+export function transformDocument(collectionId, data) {
+    if (collectionId === 'customers') {
+        // Renamed in the new schema, see transformSchema below
+        const { fullName, ...rest } = data;
+        return { ...rest, displayName: fullName, country: (data.country || 'unknown').toUpperCase() };
+    }
+    return data;
+}
+
+// Return the collection settings, attributes and indexes to create
+export function transformSchema(collectionId, schema) {
+    if (collectionId === 'customers') {
+        const rename = key => (key === 'fullName' ? 'displayName' : key);
+        return {
+            ...schema,
+            attributes: schema.attributes.map(attribute => ({ ...attribute, key: rename(attribute.key) })),
+            indexes: schema.indexes.map(index => ({ ...index, attributes: index.attributes.map(rename) }))
+        };
+    }
+    return schema;
+}
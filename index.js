@@ -1,348 +1,3009 @@
 import 'dotenv/config';
-import { Client, Databases, ID, Query } from 'node-appwrite';
-import { confirm, select } from '@inquirer/prompts';
+import { AppwriteException, Client, Databases, ID, Query } from 'node-appwrite';
+import { confirm, select, input, checkbox } from '@inquirer/prompts';
 import cliProgress from 'cli-progress';
-import { styleText } from 'node:util';
-import { writeFileSync, readFileSync, unlinkSync, existsSync, mkdirSync } from 'node:fs';
-import { join } from 'node:path';
+import { styleText, parseArgs } from 'node:util';
+import {
+    writeFileSync,
+    readFileSync,
+    unlinkSync,
+    existsSync,
+    mkdirSync,
+    appendFileSync,
+    renameSync,
+    rmSync,
+    createReadStream,
+    statSync,
+    readdirSync,
+} from 'node:fs';
+import { createInterface } from 'node:readline';
+import { join, resolve, basename, dirname } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { createHash, createHmac } from 'node:crypto';
+
+// Spool directory for optional on-disk NDJSON copies of source documents
+const SPOOL_DIR = join(process.cwd(), '.appwrite-clone-spool');
+
+// Checkpoint journal for resumable clones, plus its append-only ID mapping log
+const JOURNAL_FILE_PATH = join(process.cwd(), '.appwrite-clone-journal.json');
+const JOURNAL_IDS_FILE_PATH = join(process.cwd(), '.appwrite-clone-journal.ids.ndjson');
+// Relationship updates deferred until all inserts are done, appended like the ID mappings
+const JOURNAL_DEFERRED_FILE_PATH = join(process.cwd(), '.appwrite-clone-journal.deferred.ndjson');
+// Unique IDs written before each insert, so a resume reuses the ID of a document that was in flight
+const JOURNAL_RESERVED_FILE_PATH = join(process.cwd(), '.appwrite-clone-journal.reserved.ndjson');
+
+// Incremental sync state: per-collection $updatedAt watermarks
+const SYNC_STATE_FILE_PATH = join(process.cwd(), '.appwrite-sync-state.json');
+
+// Reports of rows that failed a CSV import
+const IMPORT_REPORT_DIR = join(process.cwd(), 'import-reports');
+
+// Backup archives, one directory per backup
+const BACKUP_DIR = join(process.cwd(), 'backups');
+const BACKUP_FORMAT = 'appwrite-database-backup';
+// Bump when the archive layout changes; restores refuse newer versions
+const BACKUP_FORMAT_VERSION = 1;
+
+// ID mapping output directory (old -> new document IDs)
+const ID_MAP_DIR = join(process.cwd(), 'id-maps');
+
+// Appwrite caps the `total` of document lists at this count; larger collections are counted by paging
+const DOCUMENT_TOTAL_LIMIT = 5000;
+const DOCUMENT_COUNT_PAGE_SIZE = 1000;
+
+// Supported document ID strategies
+const ID_STRATEGIES = ['preserve', 'unique', 'deterministic'];
+
+// Query methods allowed in document filters (cursor, limit and order are managed by the tool)
+const FILTER_QUERY_METHODS = [
+    'equal', 'notEqual', 'lessThan', 'lessThanEqual', 'greaterThan', 'greaterThanEqual', 'between',
+    'isNull', 'isNotNull', 'startsWith', 'endsWith', 'contains', 'search', 'and', 'or',
+];
+
+// How CSV exports write array values: JSON, joined with a delimiter, or one column per element
+const CSV_ARRAY_MODES = ['json', 'join', 'columns'];
+
+// Datetime formats of CSV exports: ISO 8601 as stored, date only, "YYYY-MM-DD HH:MM:SS" (UTC), or epoch milliseconds
+const CSV_DATE_FORMATS = ['iso', 'date', 'datetime', 'epoch'];
+
+// Export modes and the format each one writes
+const EXPORT_FORMATS = {
+    'export-csv': 'csv',
+    'export-ndjson': 'ndjson',
+    'export-json': 'json',
+    'export-sql': 'sql',
+};
+const EXPORT_FORMAT_NAMES = { csv: 'CSV', ndjson: 'NDJSON', json: 'JSON', sql: 'SQL' };
+
+// Masking strategies for attribute values ('keep' disables an inferred default)
+const MASK_STRATEGIES = ['hash', 'fake', 'redact', 'null', 'format', 'keep'];
+
+// Functions a transform hooks module may export
+const HOOK_NAMES = ['transformDocument', 'filterDocument', 'transformSchema'];
+
+// Match keys used when no match keys file exists (the keys this tool always used for these collections)
+const DEFAULT_MATCH_KEYS = {
+    packaging_records: ['waybill_number'],
+    packaging_items: ['packaging_record_id'],
+};
+
+// String attributes whose values Appwrite validates, so hash and redact keep them valid
+const TYPED_STRING_TYPES = ['email', 'ip', 'url', 'datetime', 'enum'];
+
+// Masking strategies inferred from attribute types when no rule is configured
+const DEFAULT_MASK_STRATEGIES = {
+    email: 'fake',
+    ip: 'fake',
+    url: 'fake',
+};
 
-// JSON cache file path
-const CACHE_FILE_PATH = join(process.cwd(), '.appwrite-clone-cache.json');
+// CLI subcommands and the clone modes each one accepts (first is the default)
+const COMMAND_MODES = {
+    clone: ['full', 'structure-only', 'data-only', 'subset'],
+    sync: ['missing-only', 'upsert', 'mirror', 'incremental', 'schema-sync'],
+    export: ['export-csv', 'export-ndjson', 'export-json', 'export-sql'],
+    import: ['import-csv'],
+    backup: ['backup'],
+    restore: ['restore'],
+    schema: ['schema-export', 'schema-import'],
+    plan: ['full', 'structure-only', 'data-only', 'subset', 'missing-only', 'upsert', 'mirror', 'incremental', 'schema-sync'],
+};
 
-// CSV export directory
-const CSV_EXPORT_DIR = join(process.cwd(), 'csv-export');
+// Modes that only read the source and write local files, so they have nothing to dry-run
+const NO_DRY_RUN_MODES = [...COMMAND_MODES.export, 'backup', 'schema-export'];
+
+// Process exit codes
+const EXIT_CODES = {
+    SUCCESS: 0,
+    ERROR: 1,
+    // Run completed but some collections or documents failed
+    PARTIAL_FAILURE: 2,
+    // Invalid command line usage
+    USAGE: 64,
+    // Interrupted with Ctrl-C (checkpoint saved)
+    INTERRUPTED: 130,
+};
 
 // Configuration
+// Source and destination connections fall back to the shared APPWRITE_* settings,
+// so both databases can live in the same project or in different projects/servers
 const config = {
-    endpoint: process.env.APPWRITE_ENDPOINT,
-    projectId: process.env.APPWRITE_PROJECT_ID,
-    apiKey: process.env.APPWRITE_API_KEY,
+    source: {
+        endpoint: process.env.SOURCE_APPWRITE_ENDPOINT || process.env.APPWRITE_ENDPOINT,
+        projectId: process.env.SOURCE_APPWRITE_PROJECT_ID || process.env.APPWRITE_PROJECT_ID,
+        apiKey: process.env.SOURCE_APPWRITE_API_KEY || process.env.APPWRITE_API_KEY,
+        selfSigned: parseBoolean(process.env.SOURCE_APPWRITE_SELF_SIGNED ?? process.env.APPWRITE_SELF_SIGNED),
+    },
+    destination: {
+        endpoint: process.env.DEST_APPWRITE_ENDPOINT || process.env.APPWRITE_ENDPOINT,
+        projectId: process.env.DEST_APPWRITE_PROJECT_ID || process.env.APPWRITE_PROJECT_ID,
+        apiKey: process.env.DEST_APPWRITE_API_KEY || process.env.APPWRITE_API_KEY,
+        selfSigned: parseBoolean(process.env.DEST_APPWRITE_SELF_SIGNED ?? process.env.APPWRITE_SELF_SIGNED),
+    },
     sourceDatabaseId: process.env.SOURCE_DATABASE_ID,
     destDatabaseId: process.env.DEST_DATABASE_ID,
     batchSize: parseInt(process.env.BATCH_SIZE) || 100,
+    // Maximum number of concurrent document writes (default: 5)
+    concurrency: parseInt(process.env.CONCURRENCY) || 5,
+    // Maximum attempts per API call for transient errors (default: 5)
+    maxAttempts: parseInt(process.env.MAX_ATTEMPTS) || 5,
+    // Base delay for exponential retry backoff in milliseconds (default: 500)
+    retryBaseDelay: parseInt(process.env.RETRY_BASE_DELAY_MS) || 500,
+    // Spool source documents to NDJSON on disk before inserting (default: stream directly)
+    spool: parseBoolean(process.env.SPOOL_TO_DISK),
     // Clone mode: 'full' (default), 'structure-only', 'data-only'
     cloneMode: process.env.CLONE_MODE || 'full',
+    // Document ID strategy: 'preserve', 'unique', 'deterministic' (default depends on mode)
+    idStrategy: process.env.ID_STRATEGY || null,
+    // Optional seed mixed into deterministic IDs
+    idSeed: process.env.ID_SEED || '',
+    // JSON file mapping collection IDs to the fields that identify a record (missing-only, upsert and mirror modes)
+    matchKeysFile: process.env.MATCH_KEYS_FILE || 'match-keys.json',
+    // JSON config file with collection filters and other per-collection settings
+    configFile: process.env.CLONE_CONFIG_FILE || 'clone.config.json',
+    // Collections to process, by ID, name or glob pattern (empty include = all)
+    collectionFilter: { include: [], exclude: [] },
+    // Appwrite queries limiting the documents processed, keyed by collection ID
+    documentFilters: {},
+    // Subset mode: { seed, roots: { collectionId: { sample, filters } } }
+    subset: { seed: '', roots: {} },
+    // PII masking: { enabled, seed, rules: { collectionId: { attribute: strategy } } }
+    masking: { enabled: false, seed: process.env.MASK_SEED || '', rules: {} },
+    // Mirror mode aborts when more than this percentage of a collection would be deleted
+    mirrorMaxDeletePercent: parseMaxDeletePercent(process.env.MIRROR_MAX_DELETE_PERCENT),
+    // JS module exporting transform hooks (transformDocument, filterDocument, transformSchema)
+    hooksFile: process.env.TRANSFORM_HOOKS_FILE || null,
+    // The loaded hooks module, if any
+    hooks: null,
+    // Output directory of NDJSON, JSON and SQL exports
+    exportDir: process.env.EXPORT_DIR || 'exports',
+    // CSV export output directory and value formatting
+    csv: {
+        outputDir: process.env.CSV_EXPORT_DIR || 'csv-export',
+        arrays: process.env.CSV_ARRAYS || 'json',
+        arrayDelimiter: process.env.CSV_ARRAY_DELIMITER || '|',
+        relationshipIds: parseBoolean(process.env.CSV_RELATIONSHIP_IDS),
+        dateFormat: process.env.CSV_DATE_FORMAT || 'iso',
+        bom: parseBoolean(process.env.CSV_BOM),
+    },
 };
 
+// Parse MIRROR_MAX_DELETE_PERCENT (default 10); 0 means a mirror never deletes
+function parseMaxDeletePercent(value) {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : 10;
+}
+
+// Parse a boolean environment variable ('true', '1', 'yes')
+function parseBoolean(value) {
+    return ['true', '1', 'yes'].includes(String(value).toLowerCase());
+}
+
 // Validate configuration
-function validateConfig() {
-    const required = [
-        'APPWRITE_ENDPOINT',
-        'APPWRITE_PROJECT_ID',
-        'APPWRITE_API_KEY',
-        'SOURCE_DATABASE_ID',
-        'DEST_DATABASE_ID',
-    ];
+function validateConfig(options = {}) {
+    const { requireSource = true, requireDestination = true } = options;
+
+    const missing = [];
+    if (requireSource && !config.sourceDatabaseId) {
+        missing.push('SOURCE_DATABASE_ID (or --source)');
+    }
+    if (requireDestination && !config.destDatabaseId) {
+        missing.push('DEST_DATABASE_ID (or --dest)');
+    }
 
-    const missing = required.filter((key) => !process.env[key]);
+    // Each connection setting may come from the side-specific or the shared variable
+    const connectionSettings = [
+        ['endpoint', 'APPWRITE_ENDPOINT'],
+        ['projectId', 'APPWRITE_PROJECT_ID'],
+        ['apiKey', 'APPWRITE_API_KEY'],
+    ];
+    const sides = [
+        ...(requireSource ? [['source', 'SOURCE_']] : []),
+        ...(requireDestination ? [['destination', 'DEST_']] : []),
+    ];
+    for (const [side, prefix] of sides) {
+        for (const [setting, envKey] of connectionSettings) {
+            if (!config[side][setting]) {
+                missing.push(`${prefix}${envKey} (or ${envKey})`);
+            }
+        }
+    }
 
     if (missing.length > 0) {
         console.error('Missing required environment variables:');
         missing.forEach((key) => console.error(`  - ${key}`));
         console.error('\nPlease copy .env.example to .env and fill in the values.');
-        process.exit(1);
+        process.exit(EXIT_CODES.ERROR);
     }
-}
 
-// Initialize Appwrite client
-function createClient() {
-    const client = new Client();
-    client
-        .setEndpoint(config.endpoint)
-        .setProject(config.projectId)
-        .setKey(config.apiKey);
+    if (config.idStrategy && !ID_STRATEGIES.includes(config.idStrategy)) {
+        console.error(`Invalid ID_STRATEGY "${config.idStrategy}". Expected one of: ${ID_STRATEGIES.join(', ')}`);
+        process.exit(EXIT_CODES.ERROR);
+    }
 
-    return client;
-}
+    if (config.mirrorMaxDeletePercent < 0 || config.mirrorMaxDeletePercent > 100) {
+        console.error(`Invalid MIRROR_MAX_DELETE_PERCENT "${config.mirrorMaxDeletePercent}". Expected a percentage from 0 to 100`);
+        process.exit(EXIT_CODES.ERROR);
+    }
 
-// Write data to JSON cache file
-function writeCacheFile(data) {
-    console.log(`\n  Writing data to cache file: ${CACHE_FILE_PATH}`);
-    writeFileSync(CACHE_FILE_PATH, JSON.stringify(data, null, 2), 'utf-8');
-    console.log(`  Cache file created successfully`);
+    if (!CSV_ARRAY_MODES.includes(config.csv.arrays)) {
+        console.error(`Invalid CSV_ARRAYS "${config.csv.arrays}". Expected one of: ${CSV_ARRAY_MODES.join(', ')}`);
+        process.exit(EXIT_CODES.ERROR);
+    }
+    if (!CSV_DATE_FORMATS.includes(config.csv.dateFormat)) {
+        console.error(`Invalid CSV_DATE_FORMAT "${config.csv.dateFormat}". Expected one of: ${CSV_DATE_FORMATS.join(', ')}`);
+        process.exit(EXIT_CODES.ERROR);
+    }
 }
 
-// Read data from JSON cache file
-function readCacheFile() {
-    console.log(`\n  Reading data from cache file: ${CACHE_FILE_PATH}`);
-    const data = JSON.parse(readFileSync(CACHE_FILE_PATH, 'utf-8'));
-    console.log(`  Cache file read successfully`);
-    return data;
+// Print command line usage
+function printUsage() {
+    console.log(`
+Usage: node index.js [command] [options]
+
+Commands (omit to run interactively):
+  clone     Clone structure and/or documents (modes: ${COMMAND_MODES.clone.join(', ')})
+  sync      Add missing, update changed or mirror documents, or sync the schema without dropping data (modes: ${COMMAND_MODES.sync.join(', ')})
+  export    Export source documents to CSV, NDJSON, JSON fixtures or an SQL dump (modes: ${COMMAND_MODES.export.join(', ')})
+  import    Load CSV files into destination collections (modes: ${COMMAND_MODES.import.join(', ')})
+  backup    Back up the source schema and documents to a checksummed archive directory
+  restore   Verify a backup archive and restore it into the destination database
+  schema    Export the source schema to, or apply it from, an Appwrite CLI appwrite.json (modes: ${COMMAND_MODES.schema.join(', ')})
+  plan      Show what a clone would do without changing anything (modes: ${COMMAND_MODES.plan.join(', ')})
+
+Options:
+  --mode <mode>             Clone mode for the command (default: CLONE_MODE or the first mode)
+  --source <databaseId>     Source database ID (default: SOURCE_DATABASE_ID)
+  --dest <databaseId>       Destination database ID (default: DEST_DATABASE_ID)
+  --batch-size <n>          Documents per page (default: BATCH_SIZE or 100)
+  --concurrency <n>         Concurrent document writes (default: CONCURRENCY or 5)
+  --max-attempts <n>        Attempts per API call for transient errors (default: MAX_ATTEMPTS or 5)
+  --id-strategy <strategy>  Document IDs: ${ID_STRATEGIES.join(', ')}
+  --match-keys <file>       Match keys per collection for missing-only/upsert/mirror (default: MATCH_KEYS_FILE or match-keys.json)
+  --max-delete-percent <n>  Mirror: abort if more than n% of a collection would be deleted (default: MIRROR_MAX_DELETE_PERCENT or 10)
+  --reset-watermark <id>    Incremental: resync a collection from scratch (repeatable, "all" for every collection)
+  --include <pattern>       Only process collections matching an ID, name or glob (repeatable, comma-separated)
+  --exclude <pattern>       Skip collections matching an ID, name or glob (repeatable, comma-separated)
+  --config <file>           Config file with collection filters (default: CLONE_CONFIG_FILE or clone.config.json)
+  --subset <id[:sample]>    Subset: root collection and sample size or fraction (repeatable)
+  --seed <seed>             Subset: seed for reproducible sampling
+  --mask                    Mask PII (configured rules plus email, ip and url attributes) in clones and exports
+  --hooks <file>            JS module with transform hooks for clones and syncs (default: TRANSFORM_HOOKS_FILE)
+  --include-system-fields   Include $id, $createdAt, etc. in exports (NDJSON, JSON and SQL always include $id)
+  --output-dir <dir>        Export directory (default: CSV_EXPORT_DIR or csv-export for CSV, EXPORT_DIR or exports otherwise)
+  --csv-arrays <mode>       CSV export arrays: ${CSV_ARRAY_MODES.join(', ')} (default: CSV_ARRAYS or json)
+  --csv-array-delimiter <s> CSV export: delimiter for --csv-arrays join (default: CSV_ARRAY_DELIMITER or |)
+  --csv-relationship-ids    CSV export: write related document IDs instead of the related documents
+  --csv-date-format <fmt>   CSV export datetimes: ${CSV_DATE_FORMATS.join(', ')} (default: CSV_DATE_FORMAT or iso)
+  --csv-bom                 CSV export: start files with a UTF-8 byte order mark (for Excel)
+  --input <path>            CSV file or directory to import (default: the CSV export directory)
+  --archive <dir>           Backup archive directory (backup default: backups/<database>_<timestamp>)
+  --schema-file <file>      appwrite.json to export to or import from (default: appwrite.json)
+  -y, --yes                 Skip interactive prompts (requires the confirmation token)
+  --confirm <name>          Destination database name, required with --yes for clone/sync
+  --resume                  Continue an interrupted clone from its checkpoint journal
+  --dry-run                 Same as the plan command: print the plan and exit
+  --prune                   Schema sync: remove attributes and indexes that only exist in destination
+  --output <file>           Save the plan as JSON (with plan or --dry-run)
+  --spool                   Spool source documents to NDJSON on disk before inserting
+  -h, --help                Show this help
+
+Exit codes:
+  ${EXIT_CODES.SUCCESS}   Success
+  ${EXIT_CODES.ERROR}   Fatal error or confirmation mismatch
+  ${EXIT_CODES.PARTIAL_FAILURE}   Completed, but some collections or documents failed (plan: failures predicted)
+  ${EXIT_CODES.USAGE}  Invalid command line usage
+  ${EXIT_CODES.INTERRUPTED} Interrupted with Ctrl-C (checkpoint saved, rerun with --resume)
+`);
 }
 
-// Delete JSON cache file
-function deleteCacheFile() {
-    if (existsSync(CACHE_FILE_PATH)) {
-        unlinkSync(CACHE_FILE_PATH);
-        console.log(`\n  Cache file deleted: ${CACHE_FILE_PATH}`);
-    }
+// Exit with a usage error
+function usageError(message) {
+    console.error(styleText('red', `Error: ${message}`));
+    console.error('Run with --help for usage.');
+    process.exit(EXIT_CODES.USAGE);
 }
 
-// Escape CSV field value
-function escapeCSVField(value) {
-    if (value === null || value === undefined) {
-        return '';
+// Parse command line arguments into a command and options
+function parseCliArgs(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                mode: { type: 'string' },
+                source: { type: 'string' },
+                dest: { type: 'string' },
+                'batch-size': { type: 'string' },
+                concurrency: { type: 'string' },
+                'max-attempts': { type: 'string' },
+                'id-strategy': { type: 'string' },
+                'match-keys': { type: 'string' },
+                'max-delete-percent': { type: 'string' },
+                'reset-watermark': { type: 'string', multiple: true },
+                include: { type: 'string', multiple: true },
+                exclude: { type: 'string', multiple: true },
+                config: { type: 'string' },
+                subset: { type: 'string', multiple: true },
+                seed: { type: 'string' },
+                mask: { type: 'boolean', default: false },
+                hooks: { type: 'string' },
+                'include-system-fields': { type: 'boolean', default: false },
+                'output-dir': { type: 'string' },
+                'csv-arrays': { type: 'string' },
+                'csv-array-delimiter': { type: 'string' },
+                'csv-relationship-ids': { type: 'boolean', default: false },
+                'csv-date-format': { type: 'string' },
+                'csv-bom': { type: 'boolean', default: false },
+                input: { type: 'string' },
+                archive: { type: 'string' },
+                'schema-file': { type: 'string' },
+                yes: { type: 'boolean', short: 'y', default: false },
+                confirm: { type: 'string' },
+                resume: { type: 'boolean', default: false },
+                'dry-run': { type: 'boolean', default: false },
+                prune: { type: 'boolean', default: false },
+                output: { type: 'string' },
+                spool: { type: 'boolean', default: false },
+                help: { type: 'boolean', short: 'h', default: false },
+            },
+        });
+    } catch (error) {
+        usageError(error.message);
     }
 
-    // Convert to string
-    let str = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    const { values, positionals } = parsed;
+    const command = positionals[0] || null;
 
-    // If contains comma, quote, newline, or starts/ends with space, wrap in quotes
-    if (str.includes(',') || str.includes('"') || str.includes('\n') || str.includes('\r') || str.startsWith(' ') || str.endsWith(' ')) {
-        // Escape quotes by doubling them
-        str = '"' + str.replace(/"/g, '""') + '"';
+    if (positionals.length > 1) {
+        usageError(`Unexpected argument "${positionals[1]}"`);
+    }
+    if (command && !COMMAND_MODES[command]) {
+        usageError(`Unknown command "${command}". Expected one of: ${Object.keys(COMMAND_MODES).join(', ')}`);
     }
 
-    return str;
-}
+    let mode = values.mode || null;
+    if (command) {
+        const allowed = COMMAND_MODES[command];
+        if (!mode) {
+            mode = allowed.includes(config.cloneMode) ? config.cloneMode : allowed[0];
+        }
+        if (!allowed.includes(mode)) {
+            usageError(`Mode "${mode}" is not valid for "${command}". Expected one of: ${allowed.join(', ')}`);
+        }
+    } else if (mode && !Object.values(COMMAND_MODES).flat().includes(mode)) {
+        usageError(`Unknown mode "${mode}"`);
+    }
 
-// Convert documents to CSV format
-function documentsToCSV(documents, includeSystemFields = false) {
-    if (documents.length === 0) {
-        return '';
+    let batchSize = null;
+    if (values['batch-size'] !== undefined) {
+        batchSize = parseInt(values['batch-size'], 10);
+        if (!Number.isInteger(batchSize) || batchSize < 1) {
+            usageError(`Invalid --batch-size "${values['batch-size']}"`);
+        }
     }
 
-    const systemFields = [
-        '$id',
-        '$collectionId',
-        '$databaseId',
-        '$createdAt',
-        '$updatedAt',
-        '$permissions',
-        '$sequence',
-    ];
+    let concurrency = null;
+    if (values.concurrency !== undefined) {
+        concurrency = parseInt(values.concurrency, 10);
+        if (!Number.isInteger(concurrency) || concurrency < 1) {
+            usageError(`Invalid --concurrency "${values.concurrency}"`);
+        }
+    }
 
-    // Get all unique keys from all documents
-    const allKeys = new Set();
-    for (const doc of documents) {
-        for (const key of Object.keys(doc)) {
-            if (includeSystemFields || !systemFields.includes(key)) {
-                allKeys.add(key);
-            }
+    let maxAttempts = null;
+    if (values['max-attempts'] !== undefined) {
+        maxAttempts = parseInt(values['max-attempts'], 10);
+        if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+            usageError(`Invalid --max-attempts "${values['max-attempts']}"`);
         }
     }
 
-    // Sort keys: system fields first (if included), then alphabetically
-    const headers = Array.from(allKeys).sort((a, b) => {
-        const aIsSystem = a.startsWith('$');
-        const bIsSystem = b.startsWith('$');
-        if (aIsSystem && !bIsSystem) return -1;
-        if (!aIsSystem && bIsSystem) return 1;
-        return a.localeCompare(b);
-    });
+    let maxDeletePercent = null;
+    if (values['max-delete-percent'] !== undefined) {
+        maxDeletePercent = parseFloat(values['max-delete-percent']);
+        if (Number.isNaN(maxDeletePercent) || maxDeletePercent < 0 || maxDeletePercent > 100) {
+            usageError(`Invalid --max-delete-percent "${values['max-delete-percent']}" (expected 0-100)`);
+        }
+    }
+
+    if (values.yes && !mode && !values.resume) {
+        usageError('--yes requires a command, --mode or --resume');
+    }
+    if (values.resume && COMMAND_MODES.export.includes(mode)) {
+        usageError('--resume is not supported for exports');
+    }
+    if (values.resume && ['import-csv', 'backup', 'restore'].includes(mode)) {
+        usageError(`--resume is not supported for ${mode === 'import-csv' ? 'imports' : 'backups and restores'}`);
+    }
+    if ((values.mask || values.hooks !== undefined) && mode === 'restore') {
+        usageError('--mask and --hooks are not supported for restores, which write the backup as it is');
+    }
+    if (values.input !== undefined && mode !== 'import-csv') {
+        usageError('--input requires --mode import-csv');
+    }
+    if (values.archive !== undefined && mode !== 'backup' && mode !== 'restore') {
+        usageError('--archive requires the backup or restore command');
+    }
+    if (values['schema-file'] !== undefined && mode !== 'schema-export' && mode !== 'schema-import') {
+        usageError('--schema-file requires the schema command');
+    }
+    if (values['output-dir'] !== undefined && !COMMAND_MODES.export.includes(mode)) {
+        usageError('--output-dir requires the export command');
+    }
+    const csvFlags = ['csv-arrays', 'csv-array-delimiter', 'csv-date-format']
+        .filter(flag => values[flag] !== undefined)
+        .concat(['csv-relationship-ids', 'csv-bom'].filter(flag => values[flag]));
+    if (csvFlags.length > 0 && mode !== 'export-csv') {
+        usageError(`--${csvFlags[0]} requires --mode export-csv`);
+    }
+    if (values['csv-arrays'] !== undefined && !CSV_ARRAY_MODES.includes(values['csv-arrays'])) {
+        usageError(`Invalid --csv-arrays "${values['csv-arrays']}". Expected one of: ${CSV_ARRAY_MODES.join(', ')}`);
+    }
+    if (values['csv-array-delimiter'] === '') {
+        usageError('--csv-array-delimiter cannot be empty');
+    }
+    if (values['csv-date-format'] !== undefined && !CSV_DATE_FORMATS.includes(values['csv-date-format'])) {
+        usageError(`Invalid --csv-date-format "${values['csv-date-format']}". Expected one of: ${CSV_DATE_FORMATS.join(', ')}`);
+    }
 
-    // Build CSV content
-    const lines = [];
+    const dryRun = values['dry-run'] || command === 'plan';
+    if (dryRun && NO_DRY_RUN_MODES.includes(mode)) {
+        usageError(`--dry-run is not supported for ${mode === 'backup' ? 'backups' : 'exports'}`);
+    }
+    if (dryRun && values.resume) {
+        usageError('--dry-run cannot be combined with --resume');
+    }
+    if (values.resume && ['schema-sync', 'schema-export', 'schema-import'].includes(mode)) {
+        usageError('--resume is not supported for schema sync, export or import');
+    }
+    if (values.prune && mode !== 'schema-sync' && mode !== 'schema-import') {
+        usageError('--prune requires --mode schema-sync or schema-import');
+    }
+    if (values['reset-watermark'] && mode !== 'incremental') {
+        usageError('--reset-watermark requires --mode incremental');
+    }
+    if ((values.subset || values.seed !== undefined) && mode !== 'subset') {
+        usageError('--subset and --seed require --mode subset');
+    }
 
-    // Header row
-    lines.push(headers.map(h => escapeCSVField(h)).join(','));
+    return {
+        command,
+        mode,
+        source: values.source || null,
+        dest: values.dest || null,
+        batchSize,
+        concurrency,
+        maxAttempts,
+        idStrategy: values['id-strategy'] || null,
+        matchKeysFile: values['match-keys'] || null,
+        maxDeletePercent,
+        resetWatermarks: values['reset-watermark'] || [],
+        include: splitPatterns(values.include),
+        exclude: splitPatterns(values.exclude),
+        configFile: values.config || null,
+        subsetRoots: parseSubsetRoots(values.subset),
+        subsetSeed: values.seed ?? null,
+        mask: values.mask,
+        hooksFile: values.hooks || null,
+        includeSystemFields: values['include-system-fields'],
+        outputDir: values['output-dir'] || null,
+        csvArrays: values['csv-arrays'] || null,
+        csvArrayDelimiter: values['csv-array-delimiter'] || null,
+        csvRelationshipIds: values['csv-relationship-ids'],
+        csvDateFormat: values['csv-date-format'] || null,
+        csvBom: values['csv-bom'],
+        input: values.input || null,
+        archive: values.archive || null,
+        schemaFile: values['schema-file'] || 'appwrite.json',
+        assumeYes: values.yes,
+        confirmToken: values.confirm ?? null,
+        resume: values.resume,
+        dryRun,
+        prune: values.prune,
+        output: values.output || null,
+        spool: values.spool,
+        help: values.help,
+    };
+}
 
-    // Data rows
-    for (const doc of documents) {
-        const row = headers.map(header => escapeCSVField(doc[header]));
-        lines.push(row.join(','));
+// Parse --subset values ("orders:100", "customers:0.1" or "orders" for every document)
+function parseSubsetRoots(values = []) {
+    const roots = {};
+    for (const value of values) {
+        const [collectionId, sample] = value.split(':');
+        if (!collectionId) {
+            usageError(`Invalid --subset "${value}"`);
+        }
+        const root = {};
+        if (sample !== undefined) {
+            root.sample = Number(sample);
+            if (!isValidSubsetSample(root.sample)) {
+                usageError(`Invalid --subset sample "${sample}" (expected a count or a fraction between 0 and 1)`);
+            }
+        }
+        roots[collectionId] = root;
     }
+    return roots;
+}
 
-    return lines.join('\n');
+// A subset sample is a whole count of documents or a fraction between 0 and 1
+function isValidSubsetSample(sample) {
+    return typeof sample === 'number' && sample > 0 && (sample <= 1 || Number.isInteger(sample));
 }
 
-// Export collection to CSV file
-function exportCollectionToCSV(collectionName, documents, includeSystemFields = false) {
-    // Create export directory if it doesn't exist
-    if (!existsSync(CSV_EXPORT_DIR)) {
-        mkdirSync(CSV_EXPORT_DIR, { recursive: true });
+// Check a subset sample from the config file; no sample keeps every document
+function validateSubsetSample(sample, collectionId) {
+    if (sample !== null && !isValidSubsetSample(sample)) {
+        throw new Error(`Invalid subset.roots.${collectionId}.sample in ${config.configFile}: expected a count or a fraction between 0 and 1`);
     }
+    return sample;
+}
 
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-    const filename = `${collectionName}_${timestamp}.csv`;
-    const filepath = join(CSV_EXPORT_DIR, filename);
+// Split repeatable, comma-separated command line patterns
+function splitPatterns(values = []) {
+    return values.flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean);
+}
 
-    const csvContent = documentsToCSV(documents, includeSystemFields);
-    writeFileSync(filepath, csvContent, 'utf-8');
+// Load the JSON config file, if present
+// Shape: { "collections": { "include": ["orders", "app_*"], "exclude": ["*_logs"] },
+//          "filters": { "orders": [{ "method": "greaterThan", "attribute": "$createdAt", "values": ["now-30d"] }] },
+//          "subset": { "seed": "dev", "roots": { "orders": { "sample": 100, "filters": [...] } } },
+//          "masking": { "enabled": true, "seed": "...", "rules": { "customers": { "phone": "format" } } } }
+function loadCloneConfig(filepath = config.configFile) {
+    if (!filepath || !existsSync(filepath)) {
+        return {};
+    }
 
-    return { filepath, filename, recordCount: documents.length };
+    try {
+        return JSON.parse(readFileSync(filepath, 'utf-8'));
+    } catch (error) {
+        throw new Error(`Invalid config file ${filepath}: ${error.message}`);
+    }
 }
 
-// Export all collections to CSV files
-async function exportToCSV(databases, sourceDbId, includeSystemFields = false) {
-    console.log('\n' + styleText('cyan', '--- Exporting to CSV ---'));
+// Apply the config file, then command line filters on top of it
+function applyCloneConfig(cli) {
+    const fileConfig = loadCloneConfig();
+    const collections = fileConfig.collections || {};
 
-    const results = {
-        collections: [],
-        totalRecords: 0,
-        exportDir: CSV_EXPORT_DIR
-    };
+    for (const list of ['include', 'exclude']) {
+        const patterns = cli[list].length > 0 ? cli[list] : (collections[list] || []);
+        if (!Array.isArray(patterns) || !patterns.every(pattern => typeof pattern === 'string')) {
+            throw new Error(`Invalid collections.${list} in ${config.configFile}: expected a list of patterns`);
+        }
+        config.collectionFilter[list] = patterns;
+    }
 
-    // Fetch all collections from source
-    console.log('\n  Fetching collections from source database...');
-    const collections = await fetchAllCollections(databases, sourceDbId);
+    const filters = fileConfig.filters || {};
+    config.documentFilters = {};
+    for (const [collectionId, queries] of Object.entries(filters)) {
+        if (!Array.isArray(queries)) {
+            throw new Error(`Invalid filters.${collectionId} in ${config.configFile}: expected a list of queries`);
+        }
+        config.documentFilters[collectionId] = queries.map(query => buildFilterQuery(query, collectionId));
+    }
 
-    if (collections.length === 0) {
-        console.log('  No collections found in source database.');
-        return results;
+    const masking = fileConfig.masking || {};
+    const rules = masking.rules || {};
+    for (const [collectionId, attributes] of Object.entries(rules)) {
+        for (const [key, strategy] of Object.entries(attributes)) {
+            if (!MASK_STRATEGIES.includes(strategy)) {
+                throw new Error(`Invalid masking rule ${collectionId}.${key} in ${config.configFile}: expected one of ${MASK_STRATEGIES.join(', ')}`);
+            }
+        }
     }
+    config.masking = {
+        enabled: cli.mask || masking.enabled === true,
+        seed: String(masking.seed ?? config.masking.seed),
+        rules
+    };
 
-    console.log(`  Found ${collections.length} collections to export.\n`);
+    // Subset roots from the command line replace the configured ones
+    const subset = fileConfig.subset || {};
+    const roots = Object.keys(cli.subsetRoots).length > 0 ? cli.subsetRoots : (subset.roots || {});
+    config.subset = {
+        seed: String(cli.subsetSeed ?? subset.seed ?? ''),
+        roots: Object.fromEntries(Object.entries(roots).map(([collectionId, root]) => [collectionId, {
+            sample: validateSubsetSample(root.sample ?? null, collectionId),
+            filters: (root.filters || []).map(query => buildFilterQuery(query, collectionId))
+        }]))
+    };
+}
 
-    // Create export directory
-    if (!existsSync(CSV_EXPORT_DIR)) {
-        mkdirSync(CSV_EXPORT_DIR, { recursive: true });
+// Resolve relative dates in filter values: "now", or "now-30d" with s, m, h, d or w units
+function resolveFilterValue(value) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    const match = value.match(/^now(?:-(\d+)([smhdw]))?$/);
+    if (!match) {
+        return value;
     }
-    console.log(`  Export directory: ${CSV_EXPORT_DIR}\n`);
+    const units = { s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+    const offset = match[1] ? parseInt(match[1], 10) * units[match[2]] : 0;
+    return new Date(Date.now() - offset).toISOString();
+}
 
-    const progressBar = createProgressBar(
-        '  Exporting |{bar}| {percentage}% | {value}/{total} | {collection}',
-        collections.length
-    );
+// Convert a configured filter ({ method, attribute, values }) to an Appwrite query string
+function buildFilterQuery(query, collectionId) {
+    if (!query || !FILTER_QUERY_METHODS.includes(query.method)) {
+        throw new Error(
+            `Invalid filter for collection "${collectionId}": method must be one of ${FILTER_QUERY_METHODS.join(', ')}`
+        );
+    }
 
-    for (const collection of collections) {
-        progressBar.update({ collection: collection.name.substring(0, 20).padEnd(20) });
+    // and/or take nested queries as their values
+    if (query.method === 'and' || query.method === 'or') {
+        const nested = (query.values || []).map(value => JSON.parse(buildFilterQuery(value, collectionId)));
+        return JSON.stringify({ method: query.method, values: nested });
+    }
 
-        // Fetch all documents
-        const documents = await fetchAllDocuments(databases, sourceDbId, collection.$id);
+    if (!query.attribute) {
+        throw new Error(`Invalid ${query.method} filter for collection "${collectionId}": attribute is required`);
+    }
+    const values = Array.isArray(query.values) ? query.values : (query.values === undefined ? [] : [query.values]);
+    return JSON.stringify({ method: query.method, attribute: query.attribute, values: values.map(resolveFilterValue) });
+}
 
-        if (documents.length > 0) {
-            const exportResult = exportCollectionToCSV(collection.name, documents, includeSystemFields);
-            results.collections.push({
-                name: collection.name,
-                ...exportResult
-            });
-            results.totalRecords += documents.length;
-        } else {
-            results.collections.push({
-                name: collection.name,
-                filepath: null,
-                filename: null,
-                recordCount: 0
-            });
-        }
+// Get the configured document filter queries of a collection
+function getDocumentQueries(collectionId) {
+    return config.documentFilters[collectionId] || [];
+}
 
-        progressBar.increment();
+// Count the documents a collection's filter leaves out (0 without a filter)
+async function countFilteredOut(databases, databaseId, collectionId, selected) {
+    if (getDocumentQueries(collectionId).length === 0) {
+        return 0;
     }
+    const total = await countDocuments(databases, databaseId, collectionId);
+    return Math.max(total - selected, 0);
+}
 
-    progressBar.stop();
+// Convert a glob pattern (* and ?) to an anchored regular expression
+function globToRegExp(pattern) {
+    const source = pattern
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    return new RegExp(`^${source}$`);
+}
 
-    return results;
+// Check whether a collection's ID or name matches any of the patterns
+function matchesCollection(collection, patterns) {
+    return patterns.some(pattern => {
+        const regex = globToRegExp(pattern);
+        return regex.test(collection.$id) || regex.test(collection.name);
+    });
 }
 
-// Create progress bar
-function createProgressBar(format, total) {
-    const bar = new cliProgress.SingleBar({
-        format: format,
-        barCompleteChar: '\u2588',
-        barIncompleteChar: '\u2591',
-        hideCursor: true,
-        clearOnComplete: false,
-        stopOnComplete: true,
-    }, cliProgress.Presets.shades_classic);
-    bar.start(total, 0);
-    return bar;
+// Keep the collections selected by the include/exclude filter
+function filterCollections(collections, filter = config.collectionFilter) {
+    const { include = [], exclude = [] } = filter;
+    return collections.filter(collection =>
+        (include.length === 0 || matchesCollection(collection, include)) &&
+        !matchesCollection(collection, exclude)
+    );
 }
 
-// Get database info
-async function getDatabaseInfo(databases, databaseId) {
-    try {
-        const db = await databases.get(databaseId);
-        return { exists: true, name: db.name, id: db.$id };
-    } catch (error) {
-        return { exists: false, name: null, id: databaseId };
-    }
+// Check whether a collection filter is active
+function hasCollectionFilter(filter = config.collectionFilter) {
+    return filter.include.length > 0 || filter.exclude.length > 0;
 }
 
-// Drop all collections in destination database
-async function dropDestinationCollections(databases, databaseId) {
-    console.log('\nDropping existing collections in destination database...');
+// Apply command line overrides on top of the environment configuration
+function applyCliOverrides(cli) {
+    if (cli.source) config.sourceDatabaseId = cli.source;
+    if (cli.dest) config.destDatabaseId = cli.dest;
+    if (cli.batchSize) config.batchSize = cli.batchSize;
+    if (cli.concurrency) config.concurrency = cli.concurrency;
+    if (cli.maxAttempts) config.maxAttempts = cli.maxAttempts;
+    if (cli.idStrategy) config.idStrategy = cli.idStrategy;
+    if (cli.matchKeysFile) config.matchKeysFile = cli.matchKeysFile;
+    if (cli.maxDeletePercent !== null) config.mirrorMaxDeletePercent = cli.maxDeletePercent;
+    if (cli.configFile) config.configFile = cli.configFile;
+    if (cli.hooksFile) config.hooksFile = cli.hooksFile;
+    if (cli.spool) config.spool = true;
+    if (cli.outputDir) {
+        config.csv.outputDir = cli.outputDir;
+        config.exportDir = cli.outputDir;
+    }
+    if (cli.csvArrays) config.csv.arrays = cli.csvArrays;
+    if (cli.csvArrayDelimiter) config.csv.arrayDelimiter = cli.csvArrayDelimiter;
+    if (cli.csvRelationshipIds) config.csv.relationshipIds = true;
+    if (cli.csvDateFormat) config.csv.dateFormat = cli.csvDateFormat;
+    if (cli.csvBom) config.csv.bom = true;
+}
 
-    const collections = await fetchAllCollections(databases, databaseId);
+// Initialize Appwrite client for a connection (config.source or config.destination)
+function createClient(connection) {
+    const client = new Client();
+    client
+        .setEndpoint(connection.endpoint)
+        .setProject(connection.projectId)
+        .setKey(connection.apiKey);
 
-    if (collections.length === 0) {
-        console.log('  No collections to drop.');
-        return { dropped: 0, errors: [] };
+    if (connection.selfSigned) {
+        client.setSelfSigned(true);
     }
 
-    const progressBar = createProgressBar(
-        '  Dropping |{bar}| {percentage}% | {value}/{total} collections',
-        collections.length
-    );
+    // Client.call() drops the response headers, which the retries need for Retry-After
+    client.call = (method, url, headers, params, responseType) => callWithHeaders(client, method, url, headers, params, responseType);
 
-    let dropped = 0;
-    const errors = [];
+    return client;
+}
 
-    for (const collection of collections) {
-        try {
-            await databases.deleteCollection(databaseId, collection.$id);
-            dropped++;
-        } catch (error) {
-            errors.push({ collection: collection.name, error: error.message });
-        }
-        progressBar.increment();
+// Make an API request like Client.call(), keeping the delay asked for by a Retry-After
+// header on the thrown exception as retryAfterMs
+async function callWithHeaders(client, method, url, headers = {}, params = {}, responseType = 'json') {
+    const { uri, options } = client.prepareRequest(method, url, headers, params);
+    const response = await fetch(uri, options);
+
+    let data;
+    if (response.headers.get('content-type')?.includes('application/json')) {
+        data = await response.json();
+    } else if (responseType === 'arrayBuffer') {
+        data = await response.arrayBuffer();
+    } else {
+        data = { message: await response.text() };
     }
 
-    progressBar.stop();
-    console.log(`  Dropped ${dropped} collections, ${errors.length} errors`);
-
-    return { dropped, errors };
+    if (response.status >= 400) {
+        const error = new AppwriteException(data?.message, response.status, data?.type, data);
+        error.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+        throw error;
+    }
+    return data;
 }
 
-// Confirm migration with user
-async function confirmMigration(sourceDb, destDb) {
-    console.log('\n' + '='.repeat(60));
-    console.log(styleText('bold', '⚠️  DATABASE MIGRATION CONFIRMATION'));
-    console.log('='.repeat(60));
+// Parse a Retry-After header (seconds or an HTTP date) to milliseconds; null if absent or invalid
+function parseRetryAfter(value, now = Date.now()) {
+    if (!value) {
+        return null;
+    }
+    if (/^\d+$/.test(value.trim())) {
+        return Number(value.trim()) * 1000;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(date - now, 0);
+}
 
-    console.log('\n' + styleText('cyan', 'Source Database (FROM):'));
-    console.log(`  ID:   ${styleText('yellow', sourceDb.id)}`);
-    console.log(`  Name: ${sourceDb.exists ? styleText('green', sourceDb.name) : styleText('red', 'NOT FOUND')}`);
+// Spool a collection's documents to an append-only NDJSON file, one document per line
+async function spoolCollection(databases, databaseId, collectionId, options = {}) {
+    if (!existsSync(SPOOL_DIR)) {
+        mkdirSync(SPOOL_DIR, { recursive: true });
+    }
 
-    console.log('\n' + styleText('cyan', 'Destination Database (TO):'));
-    console.log(`  ID:   ${styleText('yellow', destDb.id)}`);
-    console.log(`  Name: ${destDb.exists ? styleText('green', destDb.name) : styleText('red', 'NOT FOUND')}`);
+    const filepath = join(SPOOL_DIR, `${collectionId}.ndjson`);
+    writeFileSync(filepath, '', 'utf-8');
 
-    console.log('\n' + styleText('red', styleText('bold', 'WARNING:')));
-    console.log(styleText('red', '  - ALL existing collections in the destination will be DELETED'));
-    console.log(styleText('red', '  - This action CANNOT be undone'));
-    console.log('');
+    let count = 0;
+    for await (const page of fetchDocumentPages(databases, databaseId, collectionId, options)) {
+        appendFileSync(filepath, page.map(doc => JSON.stringify(doc)).join('\n') + '\n', 'utf-8');
+        count += page.length;
+    }
 
-    // First confirmation
-    const confirmSource = await confirm({
-        message: `Is "${sourceDb.id}" the correct SOURCE database?`,
-        default: false,
-    });
+    return { filepath, count };
+}
 
-    if (!confirmSource) {
-        console.log('\nMigration cancelled by user.');
-        process.exit(0);
+// Read spooled documents back in pages of config.batchSize
+async function* readSpoolPages(filepath) {
+    const lines = createInterface({ input: createReadStream(filepath, 'utf-8'), crlfDelay: Infinity });
+    let page = [];
+
+    for await (const line of lines) {
+        if (!line) continue;
+        page.push(JSON.parse(line));
+        if (page.length >= config.batchSize) {
+            yield page;
+            page = [];
+        }
     }
 
-    // Second confirmation
-    const confirmDest = await confirm({
-        message: `Is "${destDb.id}" the correct DESTINATION database to overwrite?`,
-        default: false,
-    });
+    if (page.length > 0) {
+        yield page;
+    }
+}
 
-    if (!confirmDest) {
-        console.log('\nMigration cancelled by user.');
-        process.exit(0);
+// Delete the spool directory
+function deleteSpoolDir() {
+    if (existsSync(SPOOL_DIR)) {
+        rmSync(SPOOL_DIR, { recursive: true, force: true });
+        console.log(`\n  Spool directory deleted: ${SPOOL_DIR}`);
     }
+}
 
-    // Final confirmation
-    const finalConfirm = await confirm({
-        message: styleText('red', 'Are you ABSOLUTELY SURE you want to proceed? This will DELETE all data in the destination.'),
-        default: false,
-    });
+// Create a new checkpoint journal for a clone run
+function createJournal(sourceDbId, destDbId, cloneMode, idStrategy) {
+    return {
+        version: 1,
+        sourceDbId,
+        destDbId,
+        cloneMode,
+        idStrategy,
+        collectionFilter: config.collectionFilter,
+        startedAt: new Date().toISOString(),
+        updatedAt: null,
+        // Per collection: { created, attributes, relationships, indexes }
+        structure: {},
+        // Per collection: { lastDocumentId, processed, completed }
+        documents: {},
+        // Relationship values applied after all inserts (cycles, self-references),
+        // kept in JOURNAL_DEFERRED_FILE_PATH rather than the journal itself
+        deferredUpdates: [],
+        // ID mappings not yet flushed to JOURNAL_IDS_FILE_PATH
+        pendingIds: [],
+        // Deferred updates not yet flushed to JOURNAL_DEFERRED_FILE_PATH
+        pendingDeferredUpdates: [],
+        // Unique IDs reserved by the previous run, per collection and source ID
+        reservedIds: {}
+    };
+}
 
-    if (!finalConfirm) {
-        console.log('\nMigration cancelled by user.');
-        process.exit(0);
+// Read the entries of an append-only NDJSON file (none if it does not exist)
+function readNdjsonFile(filepath) {
+    if (!existsSync(filepath)) {
+        return [];
     }
+    return readFileSync(filepath, 'utf-8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
 
-    return true;
+// Load the checkpoint journal from a previous run, if any
+function loadJournal() {
+    if (!existsSync(JOURNAL_FILE_PATH)) {
+        return null;
+    }
+
+    const journal = JSON.parse(readFileSync(JOURNAL_FILE_PATH, 'utf-8'));
+    journal.pendingIds = [];
+    journal.pendingDeferredUpdates = [];
+    journal.reservedIds = {};
+    for (const { collectionId, sourceId, destId } of readNdjsonFile(JOURNAL_RESERVED_FILE_PATH)) {
+        recordIdMapping(journal.reservedIds, collectionId, sourceId, destId);
+    }
+    // Journals written before the side file existed hold their deferred updates inline
+    journal.deferredUpdates = [...(journal.deferredUpdates || []), ...readNdjsonFile(JOURNAL_DEFERRED_FILE_PATH)];
+    return journal;
 }
 
-// Select clone mode interactively
-async function selectCloneMode() {
-    const mode = await select({
-        message: 'Select clone mode:',
+// Flush the checkpoint journal to disk
+// Written to a temp file first so a crash mid-write never leaves a corrupt journal
+function saveJournal(journal) {
+    if (!journal) return;
+
+    if (journal.pendingIds.length > 0) {
+        const lines = journal.pendingIds.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+        appendFileSync(JOURNAL_IDS_FILE_PATH, lines, 'utf-8');
+        journal.pendingIds = [];
+    }
+    // Only new deferred updates are written, so checkpoints stay cheap however many accumulate
+    if (journal.pendingDeferredUpdates.length > 0) {
+        const lines = journal.pendingDeferredUpdates.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+        appendFileSync(JOURNAL_DEFERRED_FILE_PATH, lines, 'utf-8');
+        journal.pendingDeferredUpdates = [];
+    }
+
+    journal.updatedAt = new Date().toISOString();
+    const { pendingIds, pendingDeferredUpdates, deferredUpdates, reservedIds, ...data } = journal;
+    const tempPath = `${JOURNAL_FILE_PATH}.tmp`;
+    writeFileSync(tempPath, JSON.stringify(data, null, 2), 'utf-8');
+    renameSync(tempPath, JOURNAL_FILE_PATH);
+}
+
+// Delete the checkpoint journal after a completed run
+function deleteJournal() {
+    for (const path of [JOURNAL_FILE_PATH, JOURNAL_IDS_FILE_PATH, JOURNAL_DEFERRED_FILE_PATH, JOURNAL_RESERVED_FILE_PATH]) {
+        if (existsSync(path)) {
+            unlinkSync(path);
+        }
+    }
+}
+
+// Load the incremental sync state (watermarks per source/destination pair)
+function loadSyncState() {
+    if (!existsSync(SYNC_STATE_FILE_PATH)) {
+        return { version: 1, pairs: {} };
+    }
+    return JSON.parse(readFileSync(SYNC_STATE_FILE_PATH, 'utf-8'));
+}
+
+// Write the incremental sync state, through a temp file like the journal
+function saveSyncState(state) {
+    const tempPath = `${SYNC_STATE_FILE_PATH}.tmp`;
+    writeFileSync(tempPath, JSON.stringify(state, null, 2), 'utf-8');
+    renameSync(tempPath, SYNC_STATE_FILE_PATH);
+}
+
+// Get the watermarks of a source/destination pair, keyed by collection ID
+// Each watermark is the last { updatedAt, id } applied to the destination
+function getWatermarks(state, sourceDbId, destDbId) {
+    const key = `${config.source.projectId}/${sourceDbId} -> ${config.destination.projectId}/${destDbId}`;
+    if (!state.pairs[key]) {
+        state.pairs[key] = { collections: {} };
+    }
+    return state.pairs[key].collections;
+}
+
+// Queries selecting the documents changed since a watermark, oldest first
+// greaterThanEqual keeps documents sharing the watermark timestamp; the ones already
+// applied are skipped by isAfterWatermark
+function getWatermarkQueries(watermark) {
+    if (!watermark) {
+        return [];
+    }
+    return [Query.greaterThanEqual('$updatedAt', watermark.updatedAt), Query.orderAsc('$updatedAt')];
+}
+
+// Check whether a document comes after a watermark in ($updatedAt, $id) order
+function isAfterWatermark(document, watermark) {
+    if (!watermark) return true;
+    if (document.$updatedAt !== watermark.updatedAt) {
+        return document.$updatedAt > watermark.updatedAt;
+    }
+    return document.$id > watermark.id;
+}
+
+// Rebuild the source -> destination ID map recorded by a previous run
+function loadJournalIdMap() {
+    const idMap = {};
+    for (const { collectionId, sourceId, destId } of readNdjsonFile(JOURNAL_IDS_FILE_PATH)) {
+        recordIdMapping(idMap, collectionId, sourceId, destId);
+    }
+    return idMap;
+}
+
+// Get (and create) the structure checkpoint of a collection
+function getStructureCheckpoint(journal, collectionId) {
+    if (!journal) return null;
+    if (!journal.structure[collectionId]) {
+        journal.structure[collectionId] = { created: false, attributes: false, relationships: false, indexes: false };
+    }
+    return journal.structure[collectionId];
+}
+
+// Get (and create) the document checkpoint of a collection
+function getDocumentCheckpoint(journal, collectionId) {
+    if (!journal) return null;
+    if (!journal.documents[collectionId]) {
+        journal.documents[collectionId] = { lastDocumentId: null, processed: 0, completed: false };
+    }
+    return journal.documents[collectionId];
+}
+
+// Flush the journal and exit when the user presses Ctrl-C during a clone
+function installCheckpointHandler(journal) {
+    const handler = () => {
+        saveJournal(journal);
+        console.log('\n\n' + styleText('yellow', `Interrupted. Checkpoint saved to ${JOURNAL_FILE_PATH}`));
+        console.log(styleText('yellow', 'Run again with --resume to continue where this run stopped.'));
+        process.exit(EXIT_CODES.INTERRUPTED);
+    };
+    process.on('SIGINT', handler);
+    return () => process.off('SIGINT', handler);
+}
+
+// Resolve the document ID strategy for a clone mode
+// Full and data-only clones preserve source IDs unless configured otherwise
+function resolveIdStrategy(cloneMode) {
+    if (config.idStrategy) {
+        return config.idStrategy;
+    }
+    return cloneMode === 'missing-only' ? 'unique' : 'preserve';
+}
+
+// Generate the destination document ID for a source document
+function generateDocumentId(strategy, collectionId, sourceId) {
+    switch (strategy) {
+        case 'preserve':
+            return sourceId;
+        case 'deterministic': {
+            // Appwrite IDs are limited to 36 chars; a hex digest always starts with a valid char
+            const hash = createHash('sha256')
+                .update(`${config.idSeed}:${collectionId}:${sourceId}`)
+                .digest('hex');
+            return hash.slice(0, 36);
+        }
+        case 'unique':
+        default:
+            return ID.unique();
+    }
+}
+
+// Get the destination ID of a document about to be inserted
+// Unique IDs are journaled before the insert, and a document reserved by the previous run keeps its ID
+function reserveDocumentId(journal, idStrategy, collectionId, sourceId) {
+    if (!journal || idStrategy !== 'unique') {
+        return generateDocumentId(idStrategy, collectionId, sourceId);
+    }
+    const reserved = journal.reservedIds[collectionId]?.[sourceId];
+    if (reserved) {
+        return reserved;
+    }
+    const documentId = generateDocumentId(idStrategy, collectionId, sourceId);
+    appendFileSync(JOURNAL_RESERVED_FILE_PATH, JSON.stringify({ collectionId, sourceId, destId: documentId }) + '\n', 'utf-8');
+    return documentId;
+}
+
+// Record an old -> new document ID mapping for a collection
+function recordIdMapping(idMap, collectionId, sourceId, destId) {
+    if (!idMap[collectionId]) {
+        idMap[collectionId] = {};
+    }
+    idMap[collectionId][sourceId] = destId;
+}
+
+// Write the old -> new document ID mapping to a JSON file for auditing
+function writeIdMapFile(idMap, sourceDbId, destDbId, strategy) {
+    if (!existsSync(ID_MAP_DIR)) {
+        mkdirSync(ID_MAP_DIR, { recursive: true });
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const filepath = join(ID_MAP_DIR, `id-map_${destDbId}_${timestamp}.json`);
+
+    const data = {
+        sourceDbId,
+        destDbId,
+        strategy,
+        createdAt: new Date().toISOString(),
+        collections: idMap
+    };
+    writeFileSync(filepath, JSON.stringify(data, null, 2), 'utf-8');
+
+    return filepath;
+}
+
+// Escape CSV field value
+function escapeCSVField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    // Convert to string
+    let str = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+    // If contains comma, quote, newline, or starts/ends with space, wrap in quotes
+    if (str.includes(',') || str.includes('"') || str.includes('\n') || str.includes('\r') || str.startsWith(' ') || str.endsWith(' ')) {
+        // Escape quotes by doubling them
+        str = '"' + str.replace(/"/g, '""') + '"';
+    }
+
+    return str;
+}
+
+// System field columns of CSV exports, in order
+const CSV_SYSTEM_FIELDS = ['$id', '$collectionId', '$databaseId', '$createdAt', '$updatedAt', '$permissions', '$sequence'];
+
+// Whether a relationship attribute holds a list of related documents on this side
+function isRelationshipList(attribute) {
+    return attribute.relationType === 'manyToMany' ||
+        (attribute.relationType === 'oneToMany' && attribute.side !== 'child') ||
+        (attribute.relationType === 'manyToOne' && attribute.side === 'child');
+}
+
+// Whether a CSV column holds a list of values (arrays, and relationship ID lists)
+function isCSVList(attribute, options) {
+    return Boolean(attribute.array) ||
+        (attribute.type === 'relationship' && options.relationshipIds && isRelationshipList(attribute));
+}
+
+// Build the CSV columns of a collection in attribute order, system fields first
+// With one column per array element, arrayLengths gives the number of columns of each list attribute
+function getCSVColumns(attributes, options, arrayLengths = {}) {
+    const columns = options.includeSystemFields
+        ? CSV_SYSTEM_FIELDS.map(key => ({ header: key, key, attribute: { key, type: key.endsWith('At') ? 'datetime' : 'system' } }))
+        : [];
+
+    for (const attribute of attributes) {
+        if (options.arrays === 'columns' && isCSVList(attribute, options)) {
+            for (let i = 0; i < (arrayLengths[attribute.key] || 1); i++) {
+                columns.push({ header: `${attribute.key}[${i}]`, key: attribute.key, attribute, index: i });
+            }
+        } else {
+            columns.push({ header: attribute.key, key: attribute.key, attribute });
+        }
+    }
+
+    return columns;
+}
+
+// Format a datetime value
+function formatCSVDate(value, dateFormat) {
+    const date = new Date(value);
+    if (dateFormat === 'iso' || Number.isNaN(date.getTime())) {
+        return value;
+    }
+    switch (dateFormat) {
+        case 'date':
+            return date.toISOString().slice(0, 10);
+        case 'datetime':
+            return date.toISOString().slice(0, 19).replace('T', ' ');
+        case 'epoch':
+            return date.getTime();
+        default:
+            return value;
+    }
+}
+
+// Format a single (non-list) value of a column
+function formatCSVScalar(value, attribute, options) {
+    if (value === null || value === undefined) {
+        return value;
+    }
+    if (attribute.type === 'relationship' && options.relationshipIds) {
+        return isRelatedDocument(value) ? value.$id : value;
+    }
+    if (getAttributeType(attribute) === 'datetime') {
+        return formatCSVDate(value, options.dateFormat);
+    }
+    return value;
+}
+
+// Format a document's value for a column, flattening lists as configured
+function formatCSVValue(document, column, options) {
+    const { attribute } = column;
+    const value = document[column.key];
+
+    if (!Array.isArray(value) || !isCSVList(attribute, options)) {
+        return escapeCSVField(Array.isArray(value)
+            ? value.map(item => formatCSVScalar(item, attribute, options))
+            : formatCSVScalar(value, attribute, options));
+    }
+
+    const items = value.map(item => formatCSVScalar(item, attribute, options));
+    if (options.arrays === 'columns') {
+        return escapeCSVField(items[column.index]);
+    }
+    if (options.arrays === 'join') {
+        return escapeCSVField(items.map(item => (typeof item === 'object' ? JSON.stringify(item) : String(item))).join(options.arrayDelimiter));
+    }
+    return escapeCSVField(items);
+}
+
+// Turn a collection name into a safe file name (letters, digits, dot, dash and underscore)
+function toSafeFilename(name) {
+    return name.replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^[._]+|_+$/g, '') || 'collection';
+}
+
+// File name of a collection's export file
+// Names that only differ in unsafe characters would share a file, so the collection ID is added to repeats
+function getExportFilename(collection, usedNames, timestamp, extension) {
+    let name = toSafeFilename(collection.name);
+    if (usedNames.has(name.toLowerCase())) {
+        name = `${name}_${collection.$id}`;
+    }
+    usedNames.add(name.toLowerCase());
+    return `${name}_${timestamp}.${extension}`;
+}
+
+// Stream a collection's documents to a CSV file, page by page
+// One column per array element needs the longest arrays first, so the documents
+// are spooled to disk and read twice
+async function exportCollectionToCSV(databases, sourceDbId, collection, filepath, options = {}) {
+    const attributes = await fetchAllAttributes(databases, sourceDbId, collection.$id);
+    const maskPlan = config.masking.enabled ? buildMaskPlan(collection.$id, attributes) : null;
+    const fetchOptions = { queries: getDocumentQueries(collection.$id) };
+
+    let readPages = () => fetchDocumentPages(databases, sourceDbId, collection.$id, fetchOptions);
+    let spooled = null;
+    const arrayLengths = {};
+    if (options.arrays === 'columns') {
+        spooled = await spoolCollection(databases, sourceDbId, collection.$id, fetchOptions);
+        readPages = () => readSpoolPages(spooled.filepath);
+        for await (const page of readPages()) {
+            for (const document of page) {
+                for (const attribute of attributes) {
+                    if (Array.isArray(document[attribute.key]) && isCSVList(attribute, options)) {
+                        arrayLengths[attribute.key] = Math.max(arrayLengths[attribute.key] || 0, document[attribute.key].length);
+                    }
+                }
+            }
+        }
+    }
+
+    const columns = getCSVColumns(attributes, options, arrayLengths);
+    let recordCount = 0;
+
+    try {
+        for await (const page of readPages()) {
+            if (recordCount === 0) {
+                // Excel only detects UTF-8 with a byte order mark
+                const header = columns.map(column => escapeCSVField(column.header)).join(',');
+                writeFileSync(filepath, (options.bom ? '\uFEFF' : '') + header + '\n', 'utf-8');
+            }
+            const rows = page
+                .map(document => maskDocument(document, maskPlan))
+                .map(document => columns.map(column => formatCSVValue(document, column, options)).join(','));
+            appendFileSync(filepath, rows.join('\n') + '\n', 'utf-8');
+            recordCount += page.length;
+        }
+    } finally {
+        if (spooled) {
+            rmSync(spooled.filepath, { force: true });
+        }
+    }
+
+    return { recordCount };
+}
+
+// Export all collections to CSV files, one per collection
+async function exportToCSV(databases, sourceDbId, options = {}) {
+    const csvOptions = { ...config.csv, ...options };
+    const exportDir = resolve(csvOptions.outputDir);
+    console.log('\n' + styleText('cyan', '--- Exporting to CSV ---'));
+
+    const results = {
+        collections: [],
+        totalRecords: 0,
+        filteredOut: 0,
+        exportDir
+    };
+
+    // Fetch the selected collections from source
+    console.log('\n  Fetching collections from source database...');
+    const collections = filterCollections(await fetchAllCollections(databases, sourceDbId));
+
+    if (collections.length === 0) {
+        console.log('  No collections found in source database.');
+        return results;
+    }
+
+    console.log(`  Found ${collections.length} collections to export.\n`);
+
+    // Create export directory
+    if (!existsSync(exportDir)) {
+        mkdirSync(exportDir, { recursive: true });
+    }
+    console.log(`  Export directory: ${exportDir}\n`);
+    // The delimiter can occur inside the values, so joined lists cannot be split again
+    if (csvOptions.arrays === 'join') {
+        console.log(styleText('yellow', '  Note: arrays are joined with a delimiter; these files cannot be re-imported with import-csv\n'));
+    }
+
+    const progressBar = createProgressBar(
+        '  Exporting |{bar}| {percentage}% | {value}/{total} | {collection}',
+        collections.length
+    );
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const usedNames = new Set();
+
+    for (const collection of collections) {
+        progressBar.update({ collection: collection.name.substring(0, 20).padEnd(20) });
+
+        const filename = getExportFilename(collection, usedNames, timestamp, 'csv');
+        const filepath = join(exportDir, filename);
+
+        const { recordCount } = await exportCollectionToCSV(databases, sourceDbId, collection, filepath, csvOptions);
+        results.filteredOut += await countFilteredOut(databases, sourceDbId, collection.$id, recordCount);
+
+        if (recordCount > 0) {
+            results.collections.push({ name: collection.name, filepath, filename, recordCount });
+            results.totalRecords += recordCount;
+        } else {
+            results.collections.push({
+                name: collection.name,
+                filepath: null,
+                filename: null,
+                recordCount: 0
+            });
+        }
+
+        progressBar.increment();
+    }
+
+    progressBar.stop();
+
+    return results;
+}
+
+// Prepare a document for NDJSON, JSON and SQL exports: masked, relationships reduced to IDs,
+// and $id plus, when requested, the other system fields
+function toExportDocument(document, maskPlan, includeSystemFields) {
+    const masked = maskDocument(document, maskPlan);
+    const systemFields = includeSystemFields ? pickSystemFields(masked) : { $id: masked.$id };
+    return { ...systemFields, ...cleanDocumentData(masked) };
+}
+
+// Quote an SQL identifier (tables and columns keep their Appwrite IDs)
+function quoteSQLIdentifier(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+// Convert a value to an SQL literal; arrays and objects are stored as JSON text
+function toSQLLiteral(value) {
+    if (value === null || value === undefined) {
+        return 'NULL';
+    }
+    if (typeof value === 'boolean') {
+        return value ? 'TRUE' : 'FALSE';
+    }
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? String(value) : 'NULL';
+    }
+    const str = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return `'${str.replace(/'/g, "''")}'`;
+}
+
+// SQL column type of an attribute, for both PostgreSQL and SQLite
+function getSQLColumnType(attribute) {
+    // Arrays have no portable column type, so they are stored as JSON text
+    if (attribute.array) {
+        return 'TEXT';
+    }
+    switch (getAttributeType(attribute)) {
+        case 'string':
+            // PostgreSQL limits VARCHAR to 10485760 characters
+            return attribute.size && attribute.size <= 10485760 ? `VARCHAR(${attribute.size})` : 'TEXT';
+        case 'email':
+            return 'VARCHAR(254)';
+        case 'ip':
+            return 'VARCHAR(45)';
+        case 'enum': {
+            const size = Math.max(1, ...(attribute.elements || []).map(element => element.length));
+            return `VARCHAR(${size})`;
+        }
+        case 'integer':
+            return 'BIGINT';
+        case 'float':
+        case 'double':
+            return 'DOUBLE PRECISION';
+        case 'boolean':
+            return 'BOOLEAN';
+        case 'datetime':
+            return 'TIMESTAMP WITH TIME ZONE';
+        case 'relationship':
+            return 'VARCHAR(36)';
+        default:
+            return 'TEXT';
+    }
+}
+
+// SQL column types of the system fields
+const SQL_SYSTEM_COLUMNS = {
+    $collectionId: 'VARCHAR(36)',
+    $databaseId: 'VARCHAR(36)',
+    $createdAt: 'TIMESTAMP WITH TIME ZONE',
+    $updatedAt: 'TIMESTAMP WITH TIME ZONE',
+    $permissions: 'TEXT',
+    $sequence: 'BIGINT',
+};
+
+// Plan the SQL tables of a collection: one column per attribute holding a single value,
+// and a join table for relationship lists not stored on the other side (many-to-many, one-way one-to-many)
+// Other relationship lists are the foreign key column of the related table, so they are left out
+function buildSQLTablePlan(collection, attributes, includeSystemFields) {
+    const columns = [{ key: '$id', type: 'VARCHAR(36) PRIMARY KEY' }];
+    if (includeSystemFields) {
+        columns.push(...Object.entries(SQL_SYSTEM_COLUMNS).map(([key, type]) => ({ key, type })));
+    }
+    const joinTables = [];
+
+    for (const attribute of attributes) {
+        if (attribute.type !== 'relationship' || !isRelationshipList(attribute)) {
+            const check = getAttributeType(attribute) === 'enum' && !attribute.array && attribute.elements?.length > 0
+                ? ` CHECK (${quoteSQLIdentifier(attribute.key)} IN (${attribute.elements.map(toSQLLiteral).join(', ')}))`
+                : '';
+            columns.push({ key: attribute.key, type: getSQLColumnType(attribute) + check });
+        } else if (attribute.side !== 'child' && (attribute.relationType === 'manyToMany' || !attribute.twoWay)) {
+            const sourceColumn = `${collection.$id}_id`;
+            const targetColumn = attribute.relatedCollection === collection.$id ? `${attribute.key}_id` : `${attribute.relatedCollection}_id`;
+            joinTables.push({ key: attribute.key, table: `${collection.$id}_${attribute.key}`, sourceColumn, targetColumn });
+        }
+    }
+
+    return { table: collection.$id, columns, joinTables };
+}
+
+// CREATE TABLE statements of a collection's table plan
+function buildCreateTableSQL(plan) {
+    const statements = [
+        `CREATE TABLE ${quoteSQLIdentifier(plan.table)} (\n` +
+        plan.columns.map(column => `    ${quoteSQLIdentifier(column.key)} ${column.type}`).join(',\n') +
+        '\n);'
+    ];
+    for (const join of plan.joinTables) {
+        statements.push(
+            `CREATE TABLE ${quoteSQLIdentifier(join.table)} (\n` +
+            `    ${quoteSQLIdentifier(join.sourceColumn)} VARCHAR(36) NOT NULL,\n` +
+            `    ${quoteSQLIdentifier(join.targetColumn)} VARCHAR(36) NOT NULL,\n` +
+            `    PRIMARY KEY (${quoteSQLIdentifier(join.sourceColumn)}, ${quoteSQLIdentifier(join.targetColumn)})\n` +
+            ');'
+        );
+    }
+    return statements.join('\n\n');
+}
+
+// Batched INSERT statements for a page of export documents
+function buildInsertSQL(plan, documents) {
+    if (documents.length === 0) {
+        return '';
+    }
+    const statements = [];
+
+    const columnList = plan.columns.map(column => quoteSQLIdentifier(column.key)).join(', ');
+    const rows = documents.map(document => `    (${plan.columns.map(column => toSQLLiteral(document[column.key])).join(', ')})`);
+    statements.push(`INSERT INTO ${quoteSQLIdentifier(plan.table)} (${columnList}) VALUES\n${rows.join(',\n')};`);
+
+    for (const join of plan.joinTables) {
+        const pairs = documents.flatMap(document => (Array.isArray(document[join.key]) ? document[join.key] : [])
+            .map(relatedId => `    (${toSQLLiteral(document.$id)}, ${toSQLLiteral(relatedId)})`));
+        if (pairs.length > 0) {
+            statements.push(
+                `INSERT INTO ${quoteSQLIdentifier(join.table)} (${quoteSQLIdentifier(join.sourceColumn)}, ${quoteSQLIdentifier(join.targetColumn)}) VALUES\n` +
+                `${pairs.join(',\n')};`
+            );
+        }
+    }
+
+    return statements.join('\n') + '\n';
+}
+
+// Export all collections as NDJSON (one file per collection), a JSON fixtures file
+// keyed by collection ID, or an SQL dump with CREATE TABLE and INSERT statements
+async function exportDocuments(databases, sourceDbId, format, options = {}) {
+    const { includeSystemFields = false, outputDir = config.exportDir } = options;
+    const exportDir = resolve(outputDir);
+    console.log('\n' + styleText('cyan', `--- Exporting to ${EXPORT_FORMAT_NAMES[format]} ---`));
+
+    const results = {
+        collections: [],
+        totalRecords: 0,
+        filteredOut: 0,
+        exportDir,
+        filename: null
+    };
+
+    // Fetch the selected collections from source
+    console.log('\n  Fetching collections from source database...');
+    const collections = filterCollections(await fetchAllCollections(databases, sourceDbId));
+
+    if (collections.length === 0) {
+        console.log('  No collections found in source database.');
+        return results;
+    }
+
+    console.log(`  Found ${collections.length} collections to export.\n`);
+
+    if (!existsSync(exportDir)) {
+        mkdirSync(exportDir, { recursive: true });
+    }
+    console.log(`  Export directory: ${exportDir}\n`);
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const usedNames = new Set();
+
+    // JSON fixtures and SQL dumps hold the whole database in one file
+    if (format !== 'ndjson') {
+        results.filename = `${toSafeFilename(sourceDbId)}_${timestamp}.${format}`;
+        writeFileSync(join(exportDir, results.filename), format === 'json' ? '{' : '', 'utf-8');
+    }
+
+    const schemas = [];
+    for (const collection of collections) {
+        schemas.push({ collection, attributes: await fetchAllAttributes(databases, sourceDbId, collection.$id) });
+    }
+
+    // Tables come first, so the dump loads in one pass whatever the relationships between them
+    if (format === 'sql') {
+        const database = await databases.get(sourceDbId);
+        const header = [
+            `-- Appwrite database ${database.name} (${database.$id}), exported ${new Date().toISOString()}`,
+            '-- Arrays and permissions are stored as JSON text; relationships as the related document IDs',
+            'BEGIN;',
+            ...schemas.map(({ collection, attributes }) => buildCreateTableSQL(buildSQLTablePlan(collection, attributes, includeSystemFields))),
+        ];
+        appendFileSync(join(exportDir, results.filename), header.join('\n\n') + '\n\n', 'utf-8');
+    }
+
+    const progressBar = createProgressBar(
+        '  Exporting |{bar}| {percentage}% | {value}/{total} | {collection}',
+        collections.length
+    );
+
+    for (const [index, { collection, attributes }] of schemas.entries()) {
+        progressBar.update({ collection: collection.name.substring(0, 20).padEnd(20) });
+
+        const filename = format === 'ndjson' ? getExportFilename(collection, usedNames, timestamp, 'ndjson') : results.filename;
+        const filepath = join(exportDir, filename);
+        const maskPlan = config.masking.enabled ? buildMaskPlan(collection.$id, attributes) : null;
+        const plan = format === 'sql' ? buildSQLTablePlan(collection, attributes, includeSystemFields) : null;
+
+        if (format === 'json') {
+            appendFileSync(filepath, `${index > 0 ? ',' : ''}\n  ${JSON.stringify(collection.$id)}: [`, 'utf-8');
+        } else if (format === 'sql') {
+            appendFileSync(filepath, `-- ${collection.name} (${collection.$id})\n`, 'utf-8');
+        }
+
+        let recordCount = 0;
+        for await (const page of fetchDocumentPages(databases, sourceDbId, collection.$id, { queries: getDocumentQueries(collection.$id) })) {
+            const documents = page.map(document => toExportDocument(document, maskPlan, includeSystemFields));
+            if (format === 'ndjson') {
+                appendFileSync(filepath, documents.map(document => JSON.stringify(document)).join('\n') + '\n', 'utf-8');
+            } else if (format === 'json') {
+                const items = documents.map(document => '\n' + JSON.stringify(document, null, 2).replace(/^/gm, '    '));
+                appendFileSync(filepath, (recordCount > 0 ? ',' : '') + items.join(','), 'utf-8');
+            } else {
+                appendFileSync(filepath, buildInsertSQL(plan, documents), 'utf-8');
+            }
+            recordCount += page.length;
+        }
+
+        if (format === 'json') {
+            appendFileSync(filepath, recordCount > 0 ? '\n  ]' : ']', 'utf-8');
+        } else if (format === 'sql') {
+            appendFileSync(filepath, '\n', 'utf-8');
+        }
+
+        results.filteredOut += await countFilteredOut(databases, sourceDbId, collection.$id, recordCount);
+        results.collections.push({ name: collection.name, filename: recordCount > 0 || format !== 'ndjson' ? filename : null, recordCount });
+        results.totalRecords += recordCount;
+
+        progressBar.increment();
+    }
+
+    if (format === 'json') {
+        appendFileSync(join(exportDir, results.filename), '\n}\n', 'utf-8');
+    } else if (format === 'sql') {
+        appendFileSync(join(exportDir, results.filename), 'COMMIT;\n', 'utf-8');
+    }
+
+    progressBar.stop();
+
+    return results;
+}
+
+// Parse the records of a CSV file, yielding each record's fields and starting line number
+// Quoted fields may contain commas, doubled quotes and line breaks
+async function* readCSVRecords(filepath) {
+    const lines = createInterface({
+        input: createReadStream(filepath, 'utf-8'),
+        crlfDelay: Infinity
+    });
+
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let lineNumber = 0;
+    let startLine = 0;
+
+    for await (let line of lines) {
+        lineNumber++;
+        if (lineNumber === 1) {
+            // Strip the byte order mark written for Excel
+            line = line.replace(/^\uFEFF/, '');
+        }
+
+        if (quoted) {
+            field += '\n';
+        } else {
+            if (line === '') continue;
+            startLine = lineNumber;
+        }
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quoted) {
+                if (char !== '"') {
+                    field += char;
+                } else if (line[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    quoted = false;
+                }
+            } else if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === ',') {
+                fields.push(field);
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (!quoted) {
+            fields.push(field);
+            yield { line: startLine, fields };
+            fields = [];
+            field = '';
+        }
+    }
+
+    if (quoted) {
+        throw new Error(`Unterminated quoted field starting on line ${startLine}`);
+    }
+}
+
+// Convert a single CSV value to the attribute's type
+function parseCSVValue(raw, attribute) {
+    const type = getAttributeType(attribute);
+
+    switch (type) {
+        case 'integer': {
+            if (!/^[-+]?\d+$/.test(raw.trim())) {
+                throw new Error(`expected an integer, got "${raw}"`);
+            }
+            return checkAttributeRange(Number(raw), attribute);
+        }
+        case 'float':
+        case 'double': {
+            const number = raw.trim() === '' ? NaN : Number(raw);
+            if (!Number.isFinite(number)) {
+                throw new Error(`expected a number, got "${raw}"`);
+            }
+            return checkAttributeRange(number, attribute);
+        }
+        case 'boolean': {
+            const value = raw.trim().toLowerCase();
+            if (['true', '1', 'yes'].includes(value)) return true;
+            if (['false', '0', 'no'].includes(value)) return false;
+            throw new Error(`expected true or false, got "${raw}"`);
+        }
+        case 'datetime': {
+            // Also read the epoch and "YYYY-MM-DD HH:MM:SS" (UTC) formats of the CSV export
+            const value = raw.trim();
+            const date = /^-?\d+$/.test(value)
+                ? new Date(Number(value))
+                : new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value) ? `${value.replace(' ', 'T')}Z` : value);
+            if (Number.isNaN(date.getTime())) {
+                throw new Error(`expected a date, got "${raw}"`);
+            }
+            return date.toISOString();
+        }
+        case 'enum':
+            if (!(attribute.elements || []).includes(raw)) {
+                throw new Error(`"${raw}" is not one of ${(attribute.elements || []).join(', ')}`);
+            }
+            return raw;
+        case 'relationship': {
+            // Exports hold the related document(s) as JSON; keep only their IDs
+            const value = /^[[{]/.test(raw.trim()) ? JSON.parse(raw) : raw;
+            const toId = item => (item !== null && typeof item === 'object' ? item.$id : item);
+            return Array.isArray(value) ? value.map(toId) : toId(value);
+        }
+        default:
+            if (attribute.size && raw.length > attribute.size) {
+                throw new Error(`longer than ${attribute.size} characters`);
+            }
+            return raw;
+    }
+}
+
+// Check a number against the attribute's min/max
+function checkAttributeRange(number, attribute) {
+    if (attribute.min !== undefined && attribute.min !== null && number < attribute.min) {
+        throw new Error(`${number} is less than the minimum ${attribute.min}`);
+    }
+    if (attribute.max !== undefined && attribute.max !== null && number > attribute.max) {
+        throw new Error(`${number} is greater than the maximum ${attribute.max}`);
+    }
+    return number;
+}
+
+// Convert a CSV field to an attribute value; empty fields are null,
+// arrays are JSON as written by escapeCSVField
+function parseCSVField(raw, attribute) {
+    if (raw === '') {
+        if (attribute.required) {
+            throw new Error('is required');
+        }
+        return null;
+    }
+
+    if (attribute.array) {
+        let items;
+        try {
+            items = JSON.parse(raw);
+        } catch {
+            items = null;
+        }
+        if (!Array.isArray(items)) {
+            throw new Error(`expected a JSON array, got "${raw}"`);
+        }
+        return items.map(item => (typeof item === 'string' ? parseCSVValue(item, attribute) : item));
+    }
+
+    return parseCSVValue(raw, attribute);
+}
+
+// Attribute key and element index of a CSV header; "tags[2]" is an array element column
+function parseCSVHeader(header) {
+    const match = header.match(/^(.+)\[(\d+)\]$/);
+    return match ? { key: match[1], index: Number(match[2]) } : { key: header, index: null };
+}
+
+// Build the document for a CSV record, collecting an error per invalid field
+// $id and $permissions columns set the document ID and permissions; other system columns are ignored
+// Array element columns ("tags[0]", "tags[1]", ...) are collected into the array, skipping empty cells
+function csvRecordToDocument(headers, fields, attributesByKey) {
+    const document = { documentId: null, data: {}, permissions: undefined, errors: [] };
+
+    if (fields.length !== headers.length) {
+        document.errors.push(`expected ${headers.length} fields, got ${fields.length}`);
+        return document;
+    }
+
+    headers.forEach((header, i) => {
+        const raw = fields[i];
+        if (header === '$id') {
+            document.documentId = raw || null;
+            return;
+        }
+        if (header === '$permissions') {
+            try {
+                document.permissions = raw ? JSON.parse(raw) : undefined;
+            } catch {
+                document.errors.push('$permissions: expected a JSON array');
+            }
+            return;
+        }
+
+        const { key, index } = parseCSVHeader(header);
+        if (index !== null) {
+            const attribute = attributesByKey.get(key);
+            if (!attribute?.array || raw === '') return;
+            try {
+                const value = parseCSVValue(raw, attribute);
+                document.data[key] = document.data[key] || [];
+                document.data[key][index] = value;
+            } catch (error) {
+                document.errors.push(`${header}: ${error.message}`);
+            }
+            return;
+        }
+
+        const attribute = attributesByKey.get(header);
+        if (!attribute) return;
+        try {
+            const value = parseCSVField(raw, attribute);
+            if (value !== null) {
+                document.data[header] = value;
+            }
+        } catch (error) {
+            document.errors.push(`${header}: ${error.message}`);
+        }
+    });
+
+    for (const [key, value] of Object.entries(document.data)) {
+        if (Array.isArray(value) && attributesByKey.get(key)?.array) {
+            document.data[key] = value.filter(item => item !== undefined);
+        }
+    }
+
+    return document;
+}
+
+// Match CSV files to collections by file name: "<collection ID or name>.csv", or
+// "<name>_<timestamp>.csv" as written by the CSV export (the newest export of a collection wins)
+function resolveImportFiles(inputPath, collections) {
+    const filenames = statSync(inputPath).isDirectory()
+        ? readdirSync(inputPath).filter(name => name.toLowerCase().endsWith('.csv')).sort()
+        : [basename(inputPath)];
+    const directory = statSync(inputPath).isDirectory() ? inputPath : dirname(inputPath);
+
+    const byCollection = new Map();
+    const skipped = [];
+
+    for (const filename of filenames) {
+        const base = filename.replace(/\.csv$/i, '');
+        const match = base.match(/^(.+)_(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2})$/);
+        const candidates = match ? [base, match[1]] : [base];
+        const timestamp = match ? match[2] : '';
+
+        const collection = candidates
+            .map(name => collections.find(c => c.$id === name) ||
+                collections.find(c => c.name === name) ||
+                collections.find(c => toSafeFilename(c.name) === name || `${toSafeFilename(c.name)}_${c.$id}` === name))
+            .find(Boolean);
+        if (!collection) {
+            skipped.push({ filename, reason: 'no matching collection in the destination' });
+            continue;
+        }
+
+        const previous = byCollection.get(collection.$id);
+        if (previous && previous.timestamp > timestamp) {
+            skipped.push({ filename, reason: `older than ${previous.filename}` });
+            continue;
+        }
+        if (previous) {
+            skipped.push({ filename: previous.filename, reason: `older than ${filename}` });
+        }
+        byCollection.set(collection.$id, { filename, filepath: join(directory, filename), collection, timestamp });
+    }
+
+    return { files: [...byCollection.values()], skipped };
+}
+
+// Import the records of one CSV file into its collection
+async function importCSVFile(databases, destDbId, file, attributes, results, options = {}) {
+    const { dryRun = false, limiter = null } = options;
+    const { collection, filename } = file;
+    const fileResult = { filename, collection: collection.name, imported: 0, failed: 0, ignoredColumns: [] };
+
+    // Child sides of two-way relationships are set by the parent side
+    const attributesByKey = new Map(attributes
+        .filter(a => !(a.type === 'relationship' && a.side === 'child'))
+        .map(a => [a.key, a]));
+    const recordError = (line, documentId, error) => {
+        fileResult.failed++;
+        results.failed++;
+        results.errors.push({ file: filename, collection: collection.$id, line, documentId, error });
+    };
+
+    const pool = createWorkerPool(limiter || createRateLimiter(config.concurrency));
+    let headers = null;
+
+    for await (const { line, fields } of readCSVRecords(file.filepath)) {
+        if (!headers) {
+            headers = fields;
+            const headerKeys = headers.map(h => parseCSVHeader(h).key);
+            const missing = [...attributesByKey.values()].filter(a => a.required && !headerKeys.includes(a.key));
+            if (missing.length > 0) {
+                throw new Error(`Missing required column(s): ${missing.map(a => a.key).join(', ')}`);
+            }
+            const knownKeys = new Set(attributes.map(a => a.key));
+            fileResult.ignoredColumns = headers.filter(h => !h.startsWith('$') && !knownKeys.has(parseCSVHeader(h).key));
+            continue;
+        }
+
+        const { documentId, data, permissions, errors } = csvRecordToDocument(headers, fields, attributesByKey);
+        if (errors.length > 0) {
+            recordError(line, documentId, errors.join('; '));
+            continue;
+        }
+        if (dryRun) {
+            fileResult.imported++;
+            results.imported++;
+            continue;
+        }
+
+        await pool.submit(async () => {
+            try {
+                await databases.createDocument(destDbId, collection.$id, documentId || ID.unique(), data, permissions);
+                fileResult.imported++;
+                results.imported++;
+            } catch (error) {
+                recordError(line, documentId, error.message);
+            }
+        });
+    }
+
+    await pool.drain();
+    return fileResult;
+}
+
+// Import CSV files (a file or a directory, e.g. csv-export/) into the matching destination collections
+// Rows that fail validation or insertion are collected in results.errors instead of stopping the import
+async function importFromCSV(databases, destDbId, inputPath, options = {}) {
+    console.log('\n' + styleText('cyan', `--- ${options.dryRun ? 'Validating' : 'Importing'} CSV ---`));
+
+    const results = { files: [], skipped: [], imported: 0, failed: 0, errors: [], reportFile: null };
+
+    if (!existsSync(inputPath)) {
+        throw new Error(`CSV input ${inputPath} not found`);
+    }
+
+    const collections = filterCollections(await fetchAllCollections(databases, destDbId));
+    const { files, skipped } = resolveImportFiles(inputPath, collections);
+    results.skipped = skipped;
+
+    if (files.length === 0) {
+        console.log('  No CSV files match a destination collection.');
+        return results;
+    }
+
+    // Import parents first so relationship IDs point at existing documents
+    const attributes = {};
+    for (const file of files) {
+        attributes[file.collection.$id] = await fetchAllAttributes(databases, destDbId, file.collection.$id);
+    }
+    const order = orderCollectionsByDependency(
+        files.map(file => file.collection.$id),
+        Object.fromEntries(Object.entries(attributes).map(([id, attrs]) => [id, attrs.filter(a => a.type === 'relationship')]))
+    );
+    const ordered = order.map(id => files.find(file => file.collection.$id === id));
+
+    console.log(`  Found ${files.length} CSV files to import.\n`);
+
+    const progressBar = createProgressBar(
+        '  Importing |{bar}| {percentage}% | {value}/{total} | {collection}',
+        ordered.length
+    );
+
+    for (const file of ordered) {
+        progressBar.update({ collection: file.collection.name.substring(0, 20).padEnd(20) });
+        try {
+            results.files.push(await importCSVFile(
+                databases, destDbId, file, attributes[file.collection.$id], results, options
+            ));
+        } catch (error) {
+            results.failed++;
+            results.errors.push({ file: file.filename, collection: file.collection.$id, line: null, documentId: null, error: error.message });
+            results.files.push({ filename: file.filename, collection: file.collection.name, imported: 0, failed: 1, ignoredColumns: [] });
+        }
+        progressBar.increment();
+    }
+
+    progressBar.stop();
+
+    if (results.errors.length > 0) {
+        results.reportFile = writeImportErrorReport(results.errors);
+    }
+
+    return results;
+}
+
+// Write the rows that failed to import to a CSV report
+function writeImportErrorReport(errors) {
+    if (!existsSync(IMPORT_REPORT_DIR)) {
+        mkdirSync(IMPORT_REPORT_DIR, { recursive: true });
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const filepath = join(IMPORT_REPORT_DIR, `import-errors_${timestamp}.csv`);
+
+    const lines = ['file,collection,line,documentId,error'];
+    for (const err of errors) {
+        lines.push([err.file, err.collection, err.line, err.documentId, err.error].map(escapeCSVField).join(','));
+    }
+    writeFileSync(filepath, lines.join('\n'), 'utf-8');
+
+    return filepath;
+}
+
+// Keep only a document's top-level system fields ($id, $permissions, $createdAt, ...)
+function pickSystemFields(document) {
+    return Object.fromEntries(Object.entries(document).filter(([key]) => key.startsWith('$')));
+}
+
+// SHA-256 of a file, streamed
+async function hashFile(filepath) {
+    const hash = createHash('sha256');
+    for await (const chunk of createReadStream(filepath)) {
+        hash.update(chunk);
+    }
+    return hash.digest('hex');
+}
+
+// Back up a database to an archive directory:
+//   manifest.json               format version, source, counts and SHA-256 checksums of every other file
+//   database.json               database metadata
+//   collections/<id>.json       collection definition with its attributes and indexes
+//   documents/<id>.ndjson       documents with system fields, relationships reduced to related IDs
+// The manifest is written last, so an interrupted backup cannot be restored
+async function createBackup(databases, databaseId, archiveDir) {
+    console.log('\n' + styleText('cyan', '--- Creating Backup ---'));
+
+    mkdirSync(join(archiveDir, 'collections'), { recursive: true });
+    mkdirSync(join(archiveDir, 'documents'), { recursive: true });
+
+    const checksums = {};
+    const writeJSON = (relativePath, data) => {
+        const content = JSON.stringify(data, null, 2);
+        writeFileSync(join(archiveDir, relativePath), content, 'utf-8');
+        checksums[relativePath] = createHash('sha256').update(content).digest('hex');
+    };
+
+    writeJSON('database.json', await databases.get(databaseId));
+
+    const collections = filterCollections(await fetchAllCollections(databases, databaseId));
+    console.log(`\n  Found ${collections.length} collections to back up.\n`);
+
+    const progressBar = createProgressBar(
+        '  Backing up |{bar}| {percentage}% | {value}/{total} | {collection}',
+        collections.length
+    );
+
+    const entries = [];
+    for (const collection of collections) {
+        progressBar.update({ collection: collection.name.substring(0, 20).padEnd(20) });
+
+        const schemaPath = `collections/${collection.$id}.json`;
+        writeJSON(schemaPath, {
+            collection,
+            attributes: await fetchAllAttributes(databases, databaseId, collection.$id),
+            indexes: await fetchAllIndexes(databases, databaseId, collection.$id)
+        });
+
+        const documentsPath = `documents/${collection.$id}.ndjson`;
+        const filepath = join(archiveDir, documentsPath);
+        const hash = createHash('sha256');
+        let count = 0;
+        writeFileSync(filepath, '', 'utf-8');
+        for await (const page of fetchDocumentPages(databases, databaseId, collection.$id)) {
+            const lines = page.map(doc => JSON.stringify({ ...pickSystemFields(doc), ...cleanDocumentData(doc) })).join('\n') + '\n';
+            appendFileSync(filepath, lines, 'utf-8');
+            hash.update(lines);
+            count += page.length;
+        }
+        checksums[documentsPath] = hash.digest('hex');
+
+        entries.push({ id: collection.$id, name: collection.name, documents: count, schema: schemaPath, data: documentsPath });
+        progressBar.increment();
+    }
+
+    progressBar.stop();
+
+    const manifest = {
+        format: BACKUP_FORMAT,
+        version: BACKUP_FORMAT_VERSION,
+        createdAt: new Date().toISOString(),
+        source: { endpoint: config.source.endpoint, projectId: config.source.projectId, databaseId },
+        collections: entries,
+        totals: { collections: entries.length, documents: entries.reduce((sum, entry) => sum + entry.documents, 0) },
+        checksums
+    };
+    writeFileSync(join(archiveDir, 'manifest.json'), JSON.stringify(manifest, null, 2), 'utf-8');
+
+    return manifest;
+}
+
+// Load a backup archive, verifying its format version and every file checksum first
+async function loadBackupArchive(archiveDir) {
+    const manifestPath = join(archiveDir, 'manifest.json');
+    if (!existsSync(manifestPath)) {
+        throw new Error(`No manifest.json in ${archiveDir} (not a backup, or the backup did not finish)`);
+    }
+
+    const manifest = JSON.parse(readFileSync(manifestPath, 'utf-8'));
+    if (manifest.format !== BACKUP_FORMAT) {
+        throw new Error(`${archiveDir} is not a ${BACKUP_FORMAT} archive`);
+    }
+    if (manifest.version > BACKUP_FORMAT_VERSION) {
+        throw new Error(`Backup format version ${manifest.version} is newer than the supported version ${BACKUP_FORMAT_VERSION}`);
+    }
+
+    const mismatches = [];
+    for (const [relativePath, checksum] of Object.entries(manifest.checksums)) {
+        const filepath = join(archiveDir, relativePath);
+        if (!existsSync(filepath)) {
+            mismatches.push(`${relativePath}: missing`);
+        } else if (await hashFile(filepath) !== checksum) {
+            mismatches.push(`${relativePath}: checksum mismatch`);
+        }
+    }
+    for (const entry of manifest.collections) {
+        for (const relativePath of [entry.schema, entry.data]) {
+            if (!(relativePath in manifest.checksums)) {
+                mismatches.push(`${relativePath}: no checksum in manifest`);
+            }
+        }
+    }
+    if (mismatches.length > 0) {
+        throw new Error(`Backup verification failed:\n  - ${mismatches.join('\n  - ')}`);
+    }
+
+    const schemas = {};
+    for (const entry of manifest.collections) {
+        schemas[entry.id] = JSON.parse(readFileSync(join(archiveDir, entry.schema), 'utf-8'));
+    }
+    const database = JSON.parse(readFileSync(join(archiveDir, 'database.json'), 'utf-8'));
+
+    return { dir: archiveDir, manifest, database, schemas };
+}
+
+// Page a list by the limit and cursorAfter queries, like the Appwrite list endpoints
+function pageSchemaList(items, queries, key) {
+    let limit = 25;
+    let start = 0;
+    for (const query of queries.map(q => JSON.parse(q))) {
+        if (query.method === 'limit') {
+            limit = query.values[0];
+        } else if (query.method === 'cursorAfter') {
+            start = items.findIndex(item => item[key] === query.values[0]) + 1;
+        } else {
+            throw new Error(`Query "${query.method}" is not supported when reading schema files`);
+        }
+    }
+    return items.slice(start, start + limit);
+}
+
+// Serve collection schemas ({ collectionId: { collection, attributes, indexes } }) through the
+// read-only schema part of the Databases API, so files can stand in for a source database
+function createSchemaDatabases(database, schemas) {
+    const getSchema = (collectionId) => {
+        if (!schemas[collectionId]) {
+            const error = new Error(`Collection "${collectionId}" not found`);
+            error.code = 404;
+            throw error;
+        }
+        return schemas[collectionId];
+    };
+
+    return {
+        getSchema,
+        async get() {
+            return database;
+        },
+        async listCollections(databaseId, queries = []) {
+            const collections = Object.values(schemas).map(schema => schema.collection);
+            return { total: collections.length, collections: pageSchemaList(collections, queries, '$id') };
+        },
+        async listAttributes(databaseId, collectionId, queries = []) {
+            const { attributes } = getSchema(collectionId);
+            return { total: attributes.length, attributes: pageSchemaList(attributes, queries, 'key') };
+        },
+        async listIndexes(databaseId, collectionId, queries = []) {
+            const { indexes } = getSchema(collectionId);
+            return { total: indexes.length, indexes: pageSchemaList(indexes, queries, 'key') };
+        }
+    };
+}
+
+// Serve a loaded backup archive through the read-only part of the Databases API,
+// so a restore runs through the regular clone code. Documents stream from the NDJSON
+// files: a page continuing the previous one reads on, any other cursor rescans the file
+function createArchiveDatabases(archive) {
+    const { dir, manifest, database, schemas } = archive;
+    const entries = new Map(manifest.collections.map(entry => [entry.id, entry]));
+    const schemaDatabases = createSchemaDatabases(database, schemas);
+    let reader = null;
+
+    const readDocuments = async (collectionId, queries) => {
+        let limit = 25;
+        let after = null;
+        let select = null;
+        for (const query of queries.map(q => JSON.parse(q))) {
+            if (query.method === 'limit') {
+                limit = query.values[0];
+            } else if (query.method === 'cursorAfter') {
+                after = query.values[0];
+            } else if (query.method === 'select') {
+                // countDocuments pages through IDs only once a collection reaches DOCUMENT_TOTAL_LIMIT
+                select = ['$id', ...query.values];
+            } else {
+                throw new Error(`Query "${query.method}" is not supported when reading a backup archive`);
+            }
+        }
+
+        if (!reader || reader.collectionId !== collectionId || reader.lastId !== after) {
+            if (reader) reader.lines.close();
+            const lines = createInterface({
+                input: createReadStream(join(dir, entries.get(collectionId).data), 'utf-8'),
+                crlfDelay: Infinity
+            });
+            reader = { collectionId, lines, iterator: lines[Symbol.asyncIterator](), lastId: null };
+            // Skip to the cursor
+            while (after && reader.lastId !== after) {
+                const { value, done } = await reader.iterator.next();
+                if (done) break;
+                if (value) reader.lastId = JSON.parse(value).$id;
+            }
+        }
+
+        const documents = [];
+        while (documents.length < limit) {
+            const { value, done } = await reader.iterator.next();
+            if (done) break;
+            if (value) documents.push(JSON.parse(value));
+        }
+        if (documents.length > 0) {
+            reader.lastId = documents[documents.length - 1].$id;
+        }
+        return select
+            ? documents.map(document => Object.fromEntries(select.filter(key => key in document).map(key => [key, document[key]])))
+            : documents;
+    };
+
+    return {
+        ...schemaDatabases,
+        async listDocuments(databaseId, collectionId, queries = []) {
+            schemaDatabases.getSchema(collectionId);
+            return { total: entries.get(collectionId).documents, documents: await readDocuments(collectionId, queries) };
+        }
+    };
+}
+
+// Attribute properties kept in appwrite.json (status, error and timestamps are server state)
+const APPWRITE_JSON_ATTRIBUTE_KEYS = [
+    'key', 'type', 'required', 'array', 'size', 'min', 'max', 'default', 'format', 'elements', 'encrypt',
+    'relatedCollection', 'relationType', 'twoWay', 'twoWayKey', 'onDelete', 'side'
+];
+
+// Convert a collection with its attributes and indexes to an appwrite.json collection entry
+function toAppwriteJsonCollection(databaseId, collection, attributes, indexes) {
+    return {
+        $id: collection.$id,
+        $permissions: collection.$permissions || [],
+        databaseId,
+        name: collection.name,
+        enabled: collection.enabled ?? true,
+        documentSecurity: collection.documentSecurity ?? false,
+        attributes: attributes.map(attribute => Object.fromEntries(
+            APPWRITE_JSON_ATTRIBUTE_KEYS
+                .filter(key => attribute[key] !== undefined)
+                .map(key => [key, attribute[key]])
+        )),
+        indexes: indexes.map(index => ({
+            key: index.key,
+            type: index.type,
+            attributes: index.attributes,
+            orders: index.orders || [],
+            ...(index.lengths && index.lengths.some(length => length !== null) ? { lengths: index.lengths } : {})
+        }))
+    };
+}
+
+// Write the source database's schema to an Appwrite CLI appwrite.json
+// An existing file is updated in place: only this database and its collections are replaced
+async function exportAppwriteJson(databases, databaseId, filepath) {
+    const project = existsSync(filepath) ? JSON.parse(readFileSync(filepath, 'utf-8')) : {};
+    const database = await databases.get(databaseId);
+    const collections = filterCollections(await fetchAllCollections(databases, databaseId));
+
+    const entries = [];
+    for (const collection of collections) {
+        entries.push(toAppwriteJsonCollection(
+            databaseId,
+            collection,
+            await fetchAllAttributes(databases, databaseId, collection.$id),
+            await fetchAllIndexes(databases, databaseId, collection.$id)
+        ));
+    }
+
+    // Collections left out by the collection filter keep their existing entries
+    const exported = new Set(entries.map(entry => entry.$id));
+    const kept = (project.collections || []).filter(entry => entry.databaseId !== databaseId || !exported.has(entry.$id));
+
+    const output = {
+        projectId: config.source.projectId,
+        ...project,
+        databases: [
+            ...(project.databases || []).filter(entry => entry.$id !== databaseId),
+            { $id: database.$id, name: database.name, enabled: database.enabled ?? true }
+        ],
+        collections: [...kept, ...entries]
+    };
+    writeFileSync(filepath, JSON.stringify(output, null, 4) + '\n', 'utf-8');
+
+    return { collections: entries.length, attributes: entries.reduce((sum, entry) => sum + entry.attributes.length, 0) };
+}
+
+// Read one database's collection schemas from an appwrite.json, in the collections
+// (attributes) or the newer tables (columns) layout
+// The database is databaseId if the file has it, otherwise the file's only database
+function loadAppwriteJson(filepath, databaseId = null) {
+    if (!existsSync(filepath)) {
+        throw new Error(`${filepath} not found`);
+    }
+
+    let project;
+    try {
+        project = JSON.parse(readFileSync(filepath, 'utf-8'));
+    } catch (error) {
+        throw new Error(`Invalid ${filepath}: ${error.message}`);
+    }
+
+    const entries = [...(project.collections || []), ...(project.tables || [])];
+    const databaseIds = [...new Set(entries.map(entry => entry.databaseId))];
+    let selectedId = databaseId;
+    if (!databaseIds.includes(selectedId)) {
+        if (databaseIds.length !== 1) {
+            throw new Error(`${filepath} has collections for ${databaseIds.length > 0 ? `databases ${databaseIds.join(', ')}` : 'no database'}; select one with --source`);
+        }
+        selectedId = databaseIds[0];
+    }
+
+    const databaseEntry = [...(project.databases || []), ...(project.tablesDB || [])].find(entry => entry.$id === selectedId);
+    const database = { $id: selectedId, name: databaseEntry ? databaseEntry.name : selectedId };
+
+    const schemas = {};
+    for (const entry of entries.filter(e => e.databaseId === selectedId)) {
+        schemas[entry.$id] = {
+            collection: {
+                $id: entry.$id,
+                name: entry.name ?? entry.$id,
+                $permissions: entry.$permissions || [],
+                documentSecurity: entry.documentSecurity ?? entry.rowSecurity ?? false,
+                enabled: entry.enabled ?? true
+            },
+            attributes: (entry.attributes || entry.columns || []).map(attribute => ({
+                required: false,
+                array: false,
+                ...attribute,
+                ...(attribute.relatedTable ? { relatedCollection: attribute.relatedTable } : {})
+            })),
+            indexes: (entry.indexes || []).map(index => ({
+                ...index,
+                attributes: index.attributes || index.columns || [],
+                orders: index.orders || []
+            }))
+        };
+    }
+
+    return { database, schemas };
+}
+
+// HTTP status codes worth retrying; anything else (400, 401, 403, 404, 409, ...) is fatal
+const RETRYABLE_STATUS_CODES = [408, 425, 429, 500, 502, 503, 504];
+
+// Network error codes (from fetch/undici) worth retrying
+const RETRYABLE_NETWORK_CODES = [
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ECONNABORTED',
+    'ETIMEDOUT',
+    'EPIPE',
+    'EAI_AGAIN',
+    'UND_ERR_SOCKET',
+    'UND_ERR_CONNECT_TIMEOUT',
+    'UND_ERR_HEADERS_TIMEOUT',
+    'UND_ERR_BODY_TIMEOUT',
+];
+
+// Upper bound for a single backoff delay
+const RETRY_MAX_DELAY_MS = 30000;
+
+// Sleep for the given number of milliseconds
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Classify an error as retryable; returns the reason ('503', 'ECONNRESET', ...) or null if fatal
+function getRetryReason(error) {
+    if (typeof error.code === 'number' && error.code > 0) {
+        return RETRYABLE_STATUS_CODES.includes(error.code) ? String(error.code) : null;
+    }
+
+    // fetch() reports network failures as a TypeError with the system error as its cause
+    const networkCode = (typeof error.code === 'string' && error.code) || (error.cause && error.cause.code);
+    if (networkCode) {
+        return RETRYABLE_NETWORK_CODES.includes(networkCode) ? networkCode : null;
+    }
+
+    return error.name === 'TypeError' && error.message === 'fetch failed' ? 'network' : null;
+}
+
+// Exponential backoff with jitter: half the delay is fixed, half is random
+function getBackoffDelay(attempt, baseDelay) {
+    const delay = Math.min(baseDelay * 2 ** (attempt - 1), RETRY_MAX_DELAY_MS);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+// Create per-run retry statistics, shared by every wrapped Databases client
+function createRetryStats() {
+    return {
+        calls: 0,
+        retries: 0,
+        // Calls that succeeded after at least one retry
+        recovered: 0,
+        // Calls that failed with a retryable error after the last attempt
+        exhausted: 0,
+        // Retries by reason (status code or network error code)
+        byReason: {}
+    };
+}
+
+// Create an adaptive rate limiter shared by the workers of a run
+// Concurrency is halved when Appwrite answers 429 and recovers slowly afterwards
+function createRateLimiter(concurrency) {
+    return {
+        limit: concurrency,
+        maxLimit: concurrency,
+        pausedUntil: 0,
+        successStreak: 0,
+        throttled: 0
+    };
+}
+
+// Fetch the resource a create call would have made, or null for methods without a matching get
+function fetchCreatedResource(databases, method, args) {
+    const [databaseId, collectionId, key] = args;
+    if (method === 'createDatabase') return databases.get(databaseId);
+    if (method === 'createCollection') return databases.getCollection(databaseId, collectionId);
+    if (method === 'createDocument') return databases.getDocument(databaseId, collectionId, key);
+    if (method === 'createIndex') return databases.getIndex(databaseId, collectionId, key);
+    // Relationship keys default to the related collection ID
+    if (method === 'createRelationshipAttribute') return databases.getAttribute(databaseId, collectionId, args[5] ?? args[2]);
+    if (/^create\w+Attribute$/.test(method)) return databases.getAttribute(databaseId, collectionId, key);
+    return null;
+}
+
+// Call an API method, retrying transient errors with jittered exponential backoff
+// A create call that hits 409 after an ambiguous failure may have been created by the earlier
+// attempt; it only counts as recovered when confirmCreated() finds the resource, which is returned
+async function callWithRetry(fn, policy, method = '', confirmCreated = null) {
+    const { maxAttempts = config.maxAttempts, baseDelay = config.retryBaseDelay, stats = null, limiter = null } = policy;
+
+    if (stats) stats.calls++;
+
+    for (let attempt = 1; ; attempt++) {
+        if (limiter) {
+            const wait = limiter.pausedUntil - Date.now();
+            if (wait > 0) {
+                await sleep(wait);
+            }
+        }
+
+        try {
+            const result = await fn();
+
+            if (attempt > 1 && stats) stats.recovered++;
+
+            // Recover concurrency gradually after a run of successes
+            if (limiter && limiter.limit < limiter.maxLimit && ++limiter.successStreak >= limiter.maxLimit * 10) {
+                limiter.limit++;
+                limiter.successStreak = 0;
+            }
+
+            return result;
+        } catch (error) {
+            if (attempt > 1 && error.code === 409 && method.startsWith('create') && confirmCreated) {
+                let resource = null;
+                try {
+                    resource = await confirmCreated();
+                } catch {
+                    // Not found: the conflict is real
+                }
+                if (resource) {
+                    if (stats) stats.recovered++;
+                    return resource;
+                }
+                throw error;
+            }
+
+            const reason = getRetryReason(error);
+            if (!reason || attempt >= maxAttempts) {
+                if (reason && stats) stats.exhausted++;
+                throw error;
+            }
+
+            if (stats) {
+                stats.retries++;
+                stats.byReason[reason] = (stats.byReason[reason] || 0) + 1;
+            }
+
+            // Rate limited and unavailable servers may say how long to wait
+            const retryAfter = [429, 503].includes(error.code) ? (error.retryAfterMs ?? null) : null;
+            let delay = retryAfter ?? getBackoffDelay(attempt, baseDelay);
+
+            // Pause every worker for a 429 or a server's Retry-After hint, not just this call
+            if (limiter && (error.code === 429 || retryAfter !== null)) {
+                if (error.code === 429) {
+                    limiter.throttled++;
+                    limiter.successStreak = 0;
+                }
+
+                // Only back off once per pause, not once per in-flight request,
+                // but a longer Retry-After extends the current pause
+                if (Date.now() >= limiter.pausedUntil) {
+                    if (error.code === 429) {
+                        limiter.limit = Math.max(1, Math.floor(limiter.limit / 2));
+                    }
+                    limiter.pausedUntil = Date.now() + delay;
+                } else if (retryAfter !== null) {
+                    limiter.pausedUntil = Math.max(limiter.pausedUntil, Date.now() + retryAfter);
+                }
+                delay = Math.max(limiter.pausedUntil - Date.now(), 0);
+            }
+
+            await sleep(delay);
+        }
+    }
+}
+
+// Wrap a Databases client so every method call goes through callWithRetry
+function withRetry(databases, policy) {
+    return new Proxy(databases, {
+        get(target, property, receiver) {
+            const value = Reflect.get(target, property, receiver);
+            if (typeof value !== 'function') {
+                return value;
+            }
+            const method = String(property);
+            return (...args) => callWithRetry(
+                () => value.apply(target, args), policy, method, () => fetchCreatedResource(target, method, args)
+            );
+        }
+    });
+}
+
+// Create a bounded worker pool; submit() waits for a free slot, which keeps
+// memory bounded because callers stop reading pages while the pool is full
+function createWorkerPool(limiter) {
+    const running = new Set();
+    let failure = null;
+
+    return {
+        async submit(task) {
+            while (running.size >= limiter.limit) {
+                await Promise.race(running);
+            }
+            if (failure) throw failure;
+
+            const promise = Promise.resolve()
+                .then(task)
+                .catch(error => {
+                    failure = failure || error;
+                })
+                .finally(() => running.delete(promise));
+            running.add(promise);
+        },
+        async drain() {
+            await Promise.all(running);
+            if (failure) throw failure;
+        }
+    };
+}
+
+// Track documents in source order so the checkpoint cursor only advances past
+// documents that, along with every document before them, finished processing
+function createCursorTracker(onAdvance) {
+    const queue = [];
+
+    return {
+        add(id) {
+            const entry = { id, done: false };
+            queue.push(entry);
+            return entry;
+        },
+        complete(entry) {
+            entry.done = true;
+            while (queue.length > 0 && queue[0].done) {
+                onAdvance(queue.shift().id);
+            }
+        }
+    };
+}
+
+// Create progress bar
+function createProgressBar(format, total) {
+    const bar = new cliProgress.SingleBar({
+        format: format,
+        barCompleteChar: '\u2588',
+        barIncompleteChar: '\u2591',
+        hideCursor: true,
+        clearOnComplete: false,
+        stopOnComplete: true,
+    }, cliProgress.Presets.shades_classic);
+    bar.start(total, 0);
+    return bar;
+}
+
+// Get database info
+async function getDatabaseInfo(databases, databaseId) {
+    try {
+        const db = await databases.get(databaseId);
+        return { exists: true, name: db.name, id: db.$id };
+    } catch (error) {
+        return { exists: false, name: null, id: databaseId };
+    }
+}
+
+// Drop all collections in destination database
+// Only collections selected by the collection filter (and listed in collectionIds, if given) are dropped
+async function dropDestinationCollections(databases, databaseId, collectionIds = null) {
+    console.log('\nDropping existing collections in destination database...');
+
+    const collections = filterCollections(await fetchAllCollections(databases, databaseId))
+        .filter(collection => !collectionIds || collectionIds.includes(collection.$id));
+
+    if (collections.length === 0) {
+        console.log('  No collections to drop.');
+        return { dropped: 0, errors: [] };
+    }
+
+    const progressBar = createProgressBar(
+        '  Dropping |{bar}| {percentage}% | {value}/{total} collections',
+        collections.length
+    );
+
+    let dropped = 0;
+    const errors = [];
+
+    for (const collection of collections) {
+        try {
+            await databases.deleteCollection(databaseId, collection.$id);
+            dropped++;
+        } catch (error) {
+            errors.push({ collection: collection.name, error: error.message });
+        }
+        progressBar.increment();
+    }
+
+    progressBar.stop();
+    console.log(`  Dropped ${dropped} collections, ${errors.length} errors`);
+
+    return { dropped, errors };
+}
+
+// Summarize an attribute for the clone plan
+function summarizeAttribute(attribute) {
+    const summary = { key: attribute.key, type: attribute.type };
+    if (attribute.format) summary.format = attribute.format;
+    if (attribute.size) summary.size = attribute.size;
+    if (attribute.required) summary.required = true;
+    if (attribute.array) summary.array = true;
+    if (attribute.type === 'relationship') {
+        summary.relatedCollection = attribute.relatedCollection;
+        summary.relationType = attribute.relationType;
+        summary.side = attribute.side;
+    }
+    return summary;
+}
+
+// Predict structure failures for a source collection (unknown types, missing related collections, ...)
+function predictStructureFailures(collection, attributes, indexes, sourceCollectionIds) {
+    const failures = [];
+    const attributeKeys = new Set(attributes.map(a => a.key));
+
+    for (const attribute of attributes) {
+        if (!SUPPORTED_ATTRIBUTE_TYPES.includes(attribute.type)) {
+            failures.push({
+                collection: collection.name,
+                item: attribute.key,
+                reason: 'unknown-attribute-type',
+                message: `Unknown attribute type "${attribute.type}"`
+            });
+        }
+        if (attribute.type === 'relationship' && !sourceCollectionIds.has(attribute.relatedCollection)) {
+            failures.push({
+                collection: collection.name,
+                item: attribute.key,
+                reason: 'missing-related-collection',
+                message: `Related collection "${attribute.relatedCollection}" does not exist in source`
+            });
+        }
+        if (attribute.status && attribute.status !== 'available') {
+            failures.push({
+                collection: collection.name,
+                item: attribute.key,
+                reason: 'attribute-not-available',
+                message: `Source attribute status is "${attribute.status}"`
+            });
+        }
+    }
+
+    for (const index of indexes) {
+        const missing = index.attributes.filter(key => !key.startsWith('$') && !attributeKeys.has(key));
+        if (missing.length > 0) {
+            failures.push({
+                collection: collection.name,
+                item: index.key,
+                reason: 'index-missing-attribute',
+                message: `Index references missing attribute(s): ${missing.join(', ')}`
+            });
+        }
+    }
+
+    return failures;
+}
+
+// Build a dry-run plan of everything a clone in the given mode would do
+async function buildClonePlan(sourceDatabases, destDatabases, sourceDbId, destDbId, cloneMode) {
+    const cloneStructure = ['full', 'structure-only', 'subset'].includes(cloneMode);
+    const cloneData = ['full', 'data-only', 'subset', 'missing-only', 'upsert', 'mirror', 'incremental'].includes(cloneMode);
+    const watermarks = cloneMode === 'incremental'
+        ? getWatermarks(loadSyncState(), sourceDbId, destDbId)
+        : {};
+
+    const plan = {
+        createdAt: new Date().toISOString(),
+        mode: cloneMode,
+        source: { databaseId: sourceDbId, projectId: config.source.projectId, endpoint: config.source.endpoint },
+        destination: { databaseId: destDbId, projectId: config.destination.projectId, endpoint: config.destination.endpoint },
+        drop: [],
+        create: [],
+        documents: [],
+        predictedFailures: [],
+        warnings: [],
+        totals: {
+            dropCollections: 0,
+            dropDocuments: 0,
+            createCollections: 0,
+            createAttributes: 0,
+            createIndexes: 0,
+            copyDocuments: 0,
+            filteredOutDocuments: 0
+        }
+    };
+
+    const sourceCollections = filterCollections(await fetchAllCollections(sourceDatabases, sourceDbId));
+    const destCollections = await fetchAllCollections(destDatabases, destDbId);
+    const destCollectionIds = new Set(destCollections.map(c => c.$id));
+    // Relationships may target unselected collections that are kept in the destination
+    const sourceCollectionIds = new Set([
+        ...sourceCollections.map(c => c.$id),
+        ...(cloneStructure ? destCollections.filter(c => filterCollections([c]).length === 0).map(c => c.$id) : [])
+    ]);
+
+    // Sync runs identify existing documents by their match keys
+    if (['missing-only', 'upsert', 'mirror', 'incremental'].includes(cloneMode)) {
+        const { errors, warnings } = await validateMatchKeys(
+            sourceDatabases, sourceDbId, loadMatchKeys(), resolveIdStrategy(cloneMode), getDefaultMatchFields(cloneMode)
+        );
+        plan.predictedFailures.push(...errors.map(err => ({ ...err, reason: 'invalid-match-key' })));
+        plan.warnings.push(...warnings);
+    }
+
+    // Subsets are selected up front, so the plan shows the exact document counts
+    let subset = null;
+    if (cloneMode === 'subset') {
+        const selection = await buildSubset(sourceDatabases, sourceDbId, sourceCollections, config.subset);
+        subset = selection.subset;
+        plan.warnings.push(...selection.warnings);
+    }
+
+    // Destination collections that would be dropped, with the documents they hold
+    if (cloneStructure) {
+        for (const collection of filterCollections(destCollections)) {
+            const documents = await countDocuments(destDatabases, destDbId, collection.$id);
+            plan.drop.push({ id: collection.$id, name: collection.name, documents });
+            plan.totals.dropCollections++;
+            plan.totals.dropDocuments += documents;
+        }
+    }
+
+    for (const collection of sourceCollections) {
+        const { attributes, indexes } = await fetchSourceSchema(sourceDatabases, sourceDbId, collection);
+
+        if (cloneStructure) {
+            // Child sides of two-way relationships are created along with the parent side
+            const created = attributes.filter(a => !(a.type === 'relationship' && a.side === 'child'));
+            plan.create.push({
+                id: collection.$id,
+                name: collection.name,
+                attributes: created.map(summarizeAttribute),
+                indexes: indexes.map(idx => ({ key: idx.key, type: idx.type, attributes: idx.attributes }))
+            });
+            plan.totals.createCollections++;
+            plan.totals.createAttributes += created.length;
+            plan.totals.createIndexes += indexes.length;
+
+            plan.predictedFailures.push(...predictStructureFailures(collection, attributes, indexes, sourceCollectionIds));
+        }
+
+        if (cloneData) {
+            const documents = subset
+                ? (subset[collection.$id] || []).length
+                : await countDocuments(sourceDatabases, sourceDbId, collection.$id, [
+                    ...getDocumentQueries(collection.$id),
+                    ...getWatermarkQueries(watermarks[collection.$id])
+                ]);
+            const filteredOut = cloneMode === 'incremental' || subset
+                ? 0
+                : await countFilteredOut(sourceDatabases, sourceDbId, collection.$id, documents);
+            plan.documents.push({ id: collection.$id, name: collection.name, documents, filteredOut });
+            plan.totals.copyDocuments += documents;
+            plan.totals.filteredOutDocuments += filteredOut;
+
+            // Without a structure clone the destination schema must already match
+            if (!cloneStructure) {
+                if (!destCollectionIds.has(collection.$id)) {
+                    plan.predictedFailures.push({
+                        collection: collection.name,
+                        item: collection.$id,
+                        reason: 'missing-destination-collection',
+                        message: 'Collection does not exist in destination'
+                    });
+                    continue;
+                }
+
+                const destAttributes = await fetchAllAttributes(destDatabases, destDbId, collection.$id);
+                const destKeys = new Set(destAttributes.map(a => a.key));
+                for (const attribute of attributes) {
+                    if (!destKeys.has(attribute.key)) {
+                        plan.predictedFailures.push({
+                            collection: collection.name,
+                            item: attribute.key,
+                            reason: 'missing-destination-attribute',
+                            message: 'Attribute does not exist in destination'
+                        });
+                    }
+                }
+            }
+        }
+    }
+
+    return plan;
+}
+
+// Print a clone plan
+function printClonePlan(plan) {
+    console.log('\n' + '='.repeat(60));
+    console.log(styleText('bold', `  Clone Plan (${plan.mode})`));
+    console.log('='.repeat(60));
+
+    if (plan.drop.length > 0) {
+        console.log('\n' + styleText('red', `Collections to DROP in destination (${plan.totals.dropCollections}, ${plan.totals.dropDocuments} documents):`));
+        for (const coll of plan.drop) {
+            console.log(`  - ${coll.name} (${coll.id}): ${coll.documents} documents`);
+        }
+    }
+
+    if (plan.create.length > 0) {
+        console.log('\n' + styleText('cyan', `Collections to create (${plan.totals.createCollections}, ${plan.totals.createAttributes} attributes, ${plan.totals.createIndexes} indexes):`));
+        for (const coll of plan.create) {
+            console.log(`  + ${coll.name} (${coll.id})`);
+            for (const attr of coll.attributes) {
+                const details = attr.type === 'relationship'
+                    ? `relationship -> ${attr.relatedCollection} (${attr.relationType})`
+                    : [attr.format || attr.type, attr.size && `size ${attr.size}`, attr.required && 'required', attr.array && 'array']
+                        .filter(Boolean)
+                        .join(', ');
+                console.log(`      attribute ${attr.key}: ${details}`);
+            }
+            for (const idx of coll.indexes) {
+                console.log(`      index ${idx.key}: ${idx.type} [${idx.attributes.join(', ')}]`);
+            }
+        }
+    }
+
+    if (plan.documents.length > 0) {
+        const verbs = {
+            'missing-only': 'to compare (missing ones are added)',
+            'upsert': 'to compare (changed ones are updated, new ones are added)',
+            'incremental': 'changed since the last sync (updated or added)',
+            'subset': 'to copy (sampled roots and every document they reference)',
+            'mirror': `to compare (changed ones are updated, new ones are added, removed ones are deleted up to ${config.mirrorMaxDeletePercent}% per collection)`,
+        };
+        const verb = verbs[plan.mode] || 'to copy';
+        console.log('\n' + styleText('cyan', `Documents ${verb} (${plan.totals.copyDocuments}):`));
+        for (const coll of plan.documents) {
+            const filtered = coll.filteredOut > 0 ? ` (${coll.filteredOut} filtered out)` : '';
+            console.log(`  ${coll.name} (${coll.id}): ${coll.documents}${filtered}`);
+        }
+    }
+
+    if (plan.warnings.length > 0) {
+        console.log('\n' + styleText('yellow', `Warnings (${plan.warnings.length}):`));
+        for (const warning of plan.warnings) {
+            console.log(`  ~ ${warning.collection} / ${warning.item}: ${warning.message}`);
+        }
+    }
+
+    if (plan.predictedFailures.length > 0) {
+        console.log('\n' + styleText('red', `Predicted failures (${plan.predictedFailures.length}):`));
+        for (const failure of plan.predictedFailures) {
+            console.log(`  ! ${failure.collection} / ${failure.item}: ${failure.message}`);
+        }
+    } else {
+        console.log('\n' + styleText('green', 'No predicted failures.'));
+    }
+}
+
+// Write a clone plan to a JSON file
+function writePlanFile(plan, filepath) {
+    writeFileSync(filepath, JSON.stringify(plan, null, 2), 'utf-8');
+    return filepath;
+}
+
+// Confirm migration with user
+// With assumeYes the prompts are skipped, but the destination database name must
+// still be passed (--confirm) or typed as an explicit safety token
+async function confirmMigration(sourceDb, destDb, options = {}) {
+    const { assumeYes = false, confirmToken = null, mode = null, prune = false, inputPath = null } = options;
+    const schemaSync = mode === 'schema-sync';
+    const csvImport = mode === 'import-csv';
+    const restore = mode === 'restore';
+
+    console.log('\n' + '='.repeat(60));
+    console.log(styleText('bold', '⚠️  DATABASE MIGRATION CONFIRMATION'));
+    console.log('='.repeat(60));
+
+    if (inputPath) {
+        console.log('\n' + styleText('cyan', 'Source (FROM):'));
+        console.log(`  ${(restore && 'Backup') || (csvImport && 'CSV files') || 'Schema file'}: ${styleText('yellow', inputPath)}`);
+    } else {
+        console.log('\n' + styleText('cyan', 'Source Database (FROM):'));
+        console.log(`  ID:   ${styleText('yellow', sourceDb.id)}`);
+        console.log(`  Name: ${sourceDb.exists ? styleText('green', sourceDb.name) : styleText('red', 'NOT FOUND')}`);
+        console.log(`  Project: ${config.source.projectId} @ ${config.source.endpoint}`);
+    }
+
+    console.log('\n' + styleText('cyan', 'Destination Database (TO):'));
+    console.log(`  ID:   ${styleText('yellow', destDb.id)}`);
+    console.log(`  Name: ${destDb.exists ? styleText('green', destDb.name) : styleText('red', 'NOT FOUND')}`);
+    console.log(`  Project: ${config.destination.projectId} @ ${config.destination.endpoint}`);
+
+    console.log('\n' + styleText('red', styleText('bold', 'WARNING:')));
+    if (schemaSync) {
+        console.log(styleText('red', '  - Collection settings, attributes and indexes in the destination will be CHANGED'));
+        if (prune) {
+            console.log(styleText('red', '  - Attributes and indexes missing from the source will be DELETED, with their data'));
+        }
+    } else if (csvImport) {
+        console.log(styleText('red', '  - CSV rows will be ADDED as new documents to the matching destination collections'));
+    } else if (restore) {
+        console.log(styleText('red', '  - Destination collections with the same IDs as the backed-up ones will be DELETED and rebuilt'));
+    } else if (mode === 'upsert' || mode === 'mirror' || mode === 'incremental') {
+        console.log(styleText('red', '  - Changed documents in the destination will be OVERWRITTEN with the source version'));
+        if (mode === 'mirror') {
+            console.log(styleText('red', `  - Documents missing from the source will be DELETED (aborts above ${config.mirrorMaxDeletePercent}% of a collection)`));
+        }
+    } else {
+        console.log(styleText('red', '  - ALL existing collections in the destination will be DELETED'));
+    }
+    console.log(styleText('red', '  - This action CANNOT be undone'));
+    console.log('');
+
+    if (assumeYes) {
+        let token = confirmToken;
+        if (token === null) {
+            if (!process.stdin.isTTY) {
+                console.error(styleText('red', 'Error: --yes requires --confirm <destination database name> when not running in a terminal.'));
+                process.exit(EXIT_CODES.USAGE);
+            }
+            token = await input({ message: `Type the destination database name ("${destDb.name}") to confirm:` });
+        }
+
+        if (token !== destDb.name) {
+            console.error(styleText('red', `\nConfirmation token "${token}" does not match destination database name "${destDb.name}". Aborting.`));
+            process.exit(EXIT_CODES.ERROR);
+        }
+
+        return true;
+    }
+
+    // First confirmation
+    const confirmSource = await confirm({
+        message: inputPath
+            ? `Is "${inputPath}" the correct SOURCE file?`
+            : `Is "${sourceDb.id}" the correct SOURCE database?`,
+        default: false,
+    });
+
+    if (!confirmSource) {
+        console.log('\nMigration cancelled by user.');
+        process.exit(EXIT_CODES.SUCCESS);
+    }
+
+    // Second confirmation
+    const confirmDest = await confirm({
+        message: `Is "${destDb.id}" the correct DESTINATION database to ${schemaSync || csvImport ? 'update' : 'overwrite'}?`,
+        default: false,
+    });
+
+    if (!confirmDest) {
+        console.log('\nMigration cancelled by user.');
+        process.exit(EXIT_CODES.SUCCESS);
+    }
+
+    // Final confirmation
+    const consequence = (schemaSync && 'CHANGE the destination schema') ||
+        (csvImport && 'ADD documents to the destination') ||
+        (restore && 'REPLACE the restored collections in the destination') ||
+        'DELETE all data in the destination';
+    const finalConfirm = await confirm({
+        message: styleText('red', `Are you ABSOLUTELY SURE you want to proceed? This will ${consequence}.`),
+        default: false,
+    });
+
+    if (!finalConfirm) {
+        console.log('\nMigration cancelled by user.');
+        process.exit(EXIT_CODES.SUCCESS);
+    }
+
+    return true;
+}
+
+// Select clone mode interactively, then optionally the collections to process
+// A dry run only offers the modes it can preview
+async function selectCloneMode(databases = null, databaseId = null, dryRun = false) {
+    const mode = await select({
+        message: 'Select clone mode:',
         choices: [
             {
                 name: 'Full Clone (structure + data)',
@@ -359,443 +3020,2035 @@ async function selectCloneMode() {
                 value: 'data-only',
                 description: 'Clone only documents (destination collections must exist)',
             },
+            {
+                name: 'Subset',
+                value: 'subset',
+                description: 'Clone the structure and a sample of documents plus everything they reference',
+            },
             {
                 name: 'Add Missing Records Only',
                 value: 'missing-only',
                 description: 'Only add documents that do not exist in destination (incremental sync)',
             },
+            {
+                name: 'Upsert Records',
+                value: 'upsert',
+                description: 'Update documents that changed in source and add new ones (matched by $id or match key)',
+            },
+            {
+                name: 'Mirror Records',
+                value: 'mirror',
+                description: 'Make destination documents match the source exactly, deleting removed ones (keeps collections and indexes)',
+            },
+            {
+                name: 'Incremental Sync',
+                value: 'incremental',
+                description: 'Apply only documents changed since the last incremental sync ($updatedAt watermarks)',
+            },
+            {
+                name: 'Schema Sync',
+                value: 'schema-sync',
+                description: 'Add missing collections, attributes and indexes and update changed ones (keeps all data)',
+            },
             {
                 name: 'Export to CSV',
                 value: 'export-csv',
                 description: 'Export all source documents to CSV files (one file per collection)',
             },
-        ],
+            {
+                name: 'Export to NDJSON',
+                value: 'export-ndjson',
+                description: 'Export all source documents to NDJSON files (one file per collection, one document per line)',
+            },
+            {
+                name: 'Export to JSON Fixtures',
+                value: 'export-json',
+                description: 'Export all source documents to one pretty-printed JSON file keyed by collection ID',
+            },
+            {
+                name: 'Export to SQL Dump',
+                value: 'export-sql',
+                description: 'Export the schema and documents as CREATE TABLE and INSERT statements for PostgreSQL or SQLite',
+            },
+            {
+                name: 'Import from CSV',
+                value: 'import-csv',
+                description: 'Load CSV files (e.g. a CSV export) into the matching destination collections',
+            },
+            {
+                name: 'Backup',
+                value: 'backup',
+                description: 'Write the source schema and documents to a checksummed archive directory',
+            },
+            {
+                name: 'Restore from Backup',
+                value: 'restore',
+                description: 'Verify a backup archive and rebuild its schema and documents in the destination',
+            },
+            {
+                name: 'Export Schema to appwrite.json',
+                value: 'schema-export',
+                description: 'Write the source collections, attributes and indexes to an Appwrite CLI appwrite.json',
+            },
+            {
+                name: 'Apply Schema from appwrite.json',
+                value: 'schema-import',
+                description: 'Create and update destination collections, attributes and indexes from an appwrite.json (keeps all data)',
+            },
+        ].filter(choice => !dryRun || !NO_DRY_RUN_MODES.includes(choice.value)),
+    });
+
+    // Schema sync always compares every collection unless filtered on the command line;
+    // imports and restores take their collections from the files
+    if (databases && !['schema-sync', 'import-csv', 'restore', 'schema-import'].includes(mode) && !hasCollectionFilter()) {
+        await selectCollections(databases, databaseId);
+    }
+
+    return mode;
+}
+
+// Pick the collections to process with a checkbox list (all selected by default)
+async function selectCollections(databases, databaseId) {
+    const collections = await fetchAllCollections(databases, databaseId);
+    if (collections.length < 2) {
+        return;
+    }
+
+    const allCollections = await confirm({
+        message: `Process all ${collections.length} collections?`,
+        default: true,
+    });
+    if (allCollections) {
+        return;
+    }
+
+    const selected = await checkbox({
+        message: 'Select collections:',
+        choices: collections.map(collection => ({
+            name: `${collection.name} (${collection.$id})`,
+            value: collection.$id,
+            checked: true,
+        })),
+        required: true,
     });
 
-    return mode;
+    config.collectionFilter = { include: selected, exclude: [] };
+}
+
+// Fetch all attributes from a collection
+async function fetchAllAttributes(databases, databaseId, collectionId) {
+    const attributes = [];
+    let lastId = null;
+    let hasMore = true;
+
+    while (hasMore) {
+        const queries = [Query.limit(100)];
+
+        if (lastId) {
+            queries.push(Query.cursorAfter(lastId));
+        }
+
+        const response = await databases.listAttributes(databaseId, collectionId, queries);
+        attributes.push(...response.attributes);
+
+        if (response.attributes.length < 100) {
+            hasMore = false;
+        } else {
+            lastId = response.attributes[response.attributes.length - 1].key;
+        }
+    }
+
+    return attributes;
+}
+
+// Fetch all indexes from a collection
+async function fetchAllIndexes(databases, databaseId, collectionId) {
+    const indexes = [];
+    let lastId = null;
+    let hasMore = true;
+
+    while (hasMore) {
+        const queries = [Query.limit(100)];
+
+        if (lastId) {
+            queries.push(Query.cursorAfter(lastId));
+        }
+
+        const response = await databases.listIndexes(databaseId, collectionId, queries);
+        indexes.push(...response.indexes);
+
+        if (response.indexes.length < 100) {
+            hasMore = false;
+        } else {
+            lastId = response.indexes[response.indexes.length - 1].key;
+        }
+    }
+
+    return indexes;
+}
+
+// Wait for attribute to be available (not processing)
+async function waitForAttribute(databases, databaseId, collectionId, attributeKey, maxRetries = 30) {
+    for (let i = 0; i < maxRetries; i++) {
+        const attributes = await fetchAllAttributes(databases, databaseId, collectionId);
+        const attribute = attributes.find(a => a.key === attributeKey);
+
+        if (attribute && attribute.status === 'available') {
+            return true;
+        }
+
+        // Wait 1 second before retrying
+        await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+
+    return false;
+}
+
+// Attribute types createAttribute knows how to create
+const SUPPORTED_ATTRIBUTE_TYPES = [
+    'string',
+    'integer',
+    'float',
+    'double',
+    'boolean',
+    'datetime',
+    'email',
+    'ip',
+    'url',
+    'enum',
+    'relationship',
+];
+
+// Attribute properties that can be changed in place (anything else requires recreating the attribute)
+const UPDATABLE_ATTRIBUTE_PROPERTIES = ['required', 'default', 'min', 'max', 'elements', 'onDelete'];
+
+// Get the attribute type used for creation and comparison
+// Appwrite lists email, ip, url and enum attributes as strings with a format
+function getAttributeType(attribute) {
+    if (attribute.type === 'string' && ['email', 'ip', 'url', 'enum'].includes(attribute.format)) {
+        return attribute.format;
+    }
+    return attribute.type;
+}
+
+// Create an attribute in the destination collection
+async function createAttribute(databases, databaseId, collectionId, attribute) {
+    const { key, size, required, array } = attribute;
+    const type = getAttributeType(attribute);
+    // Attribute models expose the default value as `default`; the SDK parameter is `xdefault`
+    const xdefault = attribute.default ?? attribute.xdefault ?? undefined;
+
+    try {
+        switch (type) {
+            case 'string':
+                await databases.createStringAttribute(
+                    databaseId,
+                    collectionId,
+                    key,
+                    size || 255,
+                    required || false,
+                    xdefault,
+                    array || false
+                );
+                break;
+
+            case 'integer':
+                await databases.createIntegerAttribute(
+                    databaseId,
+                    collectionId,
+                    key,
+                    required || false,
+                    attribute.min,
+                    attribute.max,
+                    xdefault,
+                    array || false
+                );
+                break;
+
+            case 'float':
+            case 'double':
+                await databases.createFloatAttribute(
+                    databaseId,
+                    collectionId,
+                    key,
+                    required || false,
+                    attribute.min,
+                    attribute.max,
+                    xdefault,
+                    array || false
+                );
+                break;
+
+            case 'boolean':
+                await databases.createBooleanAttribute(
+                    databaseId,
+                    collectionId,
+                    key,
+                    required || false,
+                    xdefault,
+                    array || false
+                );
+                break;
+
+            case 'datetime':
+                await databases.createDatetimeAttribute(
+                    databaseId,
+                    collectionId,
+                    key,
+                    required || false,
+                    xdefault,
+                    array || false
+                );
+                break;
+
+            case 'email':
+                await databases.createEmailAttribute(
+                    databaseId,
+                    collectionId,
+                    key,
+                    required || false,
+                    xdefault,
+                    array || false
+                );
+                break;
+
+            case 'ip':
+                await databases.createIpAttribute(
+                    databaseId,
+                    collectionId,
+                    key,
+                    required || false,
+                    xdefault,
+                    array || false
+                );
+                break;
+
+            case 'url':
+                await databases.createUrlAttribute(
+                    databaseId,
+                    collectionId,
+                    key,
+                    required || false,
+                    xdefault,
+                    array || false
+                );
+                break;
+
+            case 'enum':
+                await databases.createEnumAttribute(
+                    databaseId,
+                    collectionId,
+                    key,
+                    attribute.elements || [],
+                    required || false,
+                    xdefault,
+                    array || false
+                );
+                break;
+
+            case 'relationship':
+                await databases.createRelationshipAttribute(
+                    databaseId,
+                    collectionId,
+                    attribute.relatedCollection,
+                    attribute.relationType,
+                    attribute.twoWay || false,
+                    key,
+                    attribute.twoWayKey,
+                    attribute.onDelete || 'restrict'
+                );
+                break;
+
+            default:
+                console.log(`      Warning: Unknown attribute type "${type}" for key "${key}", skipping...`);
+                return { success: false, error: `Unknown type: ${type}` };
+        }
+
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+// Create all attributes in the destination collection
+async function createAttributes(databases, databaseId, collectionId, attributes, options = {}) {
+    const { silent = false } = options;
+    const log = silent ? () => {} : console.log;
+
+    let successCount = 0;
+    let errorCount = 0;
+    const errors = [];
+
+    for (const attribute of attributes) {
+        // Skip relationship attributes that were created by the two-way relationship
+        if (attribute.type === 'relationship' && attribute.side === 'child') {
+            log(`      Skipping child relationship attribute: ${attribute.key}`);
+            continue;
+        }
+
+        const result = await createAttribute(databases, databaseId, collectionId, attribute);
+
+        if (result.success) {
+            successCount++;
+            // Wait for attribute to be available before creating the next one
+            await waitForAttribute(databases, databaseId, collectionId, attribute.key);
+        } else {
+            errorCount++;
+            errors.push({ key: attribute.key, error: result.error });
+        }
+    }
+
+    return { successCount, errorCount, errors };
+}
+
+// Create an index in the destination collection
+async function createIndex(databases, databaseId, collectionId, index) {
+    try {
+        await databases.createIndex(
+            databaseId,
+            collectionId,
+            index.key,
+            index.type,
+            index.attributes,
+            index.orders || []
+        );
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+// Wait for index to be available
+async function waitForIndex(databases, databaseId, collectionId, indexKey, maxRetries = 60) {
+    for (let i = 0; i < maxRetries; i++) {
+        const indexes = await fetchAllIndexes(databases, databaseId, collectionId);
+        const index = indexes.find(idx => idx.key === indexKey);
+
+        if (index && index.status === 'available') {
+            return true;
+        }
+
+        // Wait 1 second before retrying
+        await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+
+    return false;
+}
+
+// Wait for a deleted index to be gone (Appwrite removes indexes in the background)
+async function waitForIndexDeleted(databases, databaseId, collectionId, indexKey, maxRetries = 60) {
+    for (let i = 0; i < maxRetries; i++) {
+        const indexes = await fetchAllIndexes(databases, databaseId, collectionId);
+
+        if (!indexes.some(idx => idx.key === indexKey)) {
+            return true;
+        }
+
+        // Wait 1 second before retrying
+        await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+
+    return false;
+}
+
+// Create all indexes in the destination collection
+async function createIndexes(databases, databaseId, collectionId, indexes) {
+    let successCount = 0;
+    let errorCount = 0;
+    const errors = [];
+
+    for (const index of indexes) {
+        const result = await createIndex(databases, databaseId, collectionId, index);
+
+        if (result.success) {
+            successCount++;
+            // Wait for index to be available before creating the next one
+            await waitForIndex(databases, databaseId, collectionId, index.key);
+        } else {
+            errorCount++;
+            errors.push({ key: index.key, error: result.error });
+        }
+    }
+
+    return { successCount, errorCount, errors };
+}
+
+// Clone a collection structure (create collection with its scalar attributes)
+// Relationship attributes and indexes are returned so they can be created once every
+// collection exists in the destination (see cloneDatabaseStructure)
+async function cloneCollectionStructure(sourceDatabases, destDatabases, sourceDbId, destDbId, collection, options = {}) {
+    const { silent = false, checkpoint = null } = options;
+    const { $id, name } = collection;
+    const log = silent ? () => {} : console.log;
+
+    log(`\n  Cloning collection structure: ${name} (${$id})`);
+
+    let attrResult = { successCount: 0, errorCount: 0, errors: [] };
+    let relationshipAttributes = [];
+    let indexes = [];
+    const resumed = Boolean(checkpoint && checkpoint.created);
+
+    try {
+        // Fetch attributes and indexes from source
+        log(`    Fetching attributes and indexes from source...`);
+        const schema = await fetchSourceSchema(sourceDatabases, sourceDbId, collection);
+        const { attributes } = schema;
+        indexes = schema.indexes;
+
+        // Create the collection in destination database (unless a previous run already did)
+        if (resumed) {
+            log(`    Collection already created (resumed)`);
+        } else {
+            const { name: destName, $permissions, documentSecurity, enabled } = schema.collection;
+            await destDatabases.createCollection(
+                destDbId,
+                $id, // Use the same collection ID
+                destName,
+                $permissions,
+                documentSecurity,
+                enabled
+            );
+            if (checkpoint) checkpoint.created = true;
+            log(`    Collection created successfully`);
+        }
+
+        let scalarAttributes = attributes.filter(a => a.type !== 'relationship');
+        relationshipAttributes = attributes.filter(a => a.type === 'relationship');
+
+        // When resuming, skip attributes that already exist in the destination
+        if (checkpoint && checkpoint.attributes) {
+            scalarAttributes = [];
+        } else if (resumed) {
+            scalarAttributes = await excludeExistingAttributes(destDatabases, destDbId, $id, scalarAttributes);
+        }
+
+        if (scalarAttributes.length > 0) {
+            log(`    Creating ${scalarAttributes.length} attributes...`);
+            attrResult = await createAttributes(destDatabases, destDbId, $id, scalarAttributes, { silent });
+            log(`    Attributes: ${attrResult.successCount} created, ${attrResult.errorCount} failed`);
+
+            if (attrResult.errors.length > 0) {
+                for (const err of attrResult.errors) {
+                    log(`      - ${err.key}: ${err.error}`);
+                }
+            }
+        } else {
+            log(`    No attributes to create`);
+        }
+
+        // Return failure if any attributes failed - this is critical for data integrity
+        if (attrResult.errorCount > 0) {
+            return {
+                success: false,
+                created: true,
+                resumed,
+                error: `${attrResult.errorCount} attribute(s) failed to create`,
+                attributeErrors: attrResult.errors,
+                relationshipAttributes,
+                indexes
+            };
+        }
+
+        if (checkpoint) checkpoint.attributes = true;
+        return { success: true, created: true, resumed, attributeErrors: [], relationshipAttributes, indexes };
+    } catch (error) {
+        log(`    Failed to create collection: ${error.message}`);
+        return {
+            success: false,
+            created: resumed,
+            resumed,
+            error: error.message,
+            attributeErrors: attrResult.errors,
+            relationshipAttributes,
+            indexes
+        };
+    }
+}
+
+// Filter out attributes that already exist in a destination collection
+async function excludeExistingAttributes(databases, databaseId, collectionId, attributes) {
+    const existing = await fetchAllAttributes(databases, databaseId, collectionId);
+    const existingKeys = new Set(existing.map(a => a.key));
+    return attributes.filter(a => !existingKeys.has(a.key));
+}
+
+// Filter out indexes that already exist in a destination collection
+async function excludeExistingIndexes(databases, databaseId, collectionId, indexes) {
+    const existing = await fetchAllIndexes(databases, databaseId, collectionId);
+    const existingKeys = new Set(existing.map(idx => idx.key));
+    return indexes.filter(idx => !existingKeys.has(idx.key));
+}
+
+// Create relationship attributes for a collection whose related collections exist
+// Two-way relationships are only created from the parent side; the child side is
+// created by Appwrite along with it
+async function cloneRelationshipAttributes(databases, destDbId, collectionId, relationshipAttributes, createdCollections) {
+    const creatable = [];
+    const errors = [];
+
+    for (const attribute of relationshipAttributes) {
+        if (attribute.side === 'child') continue;
+
+        if (!createdCollections.has(attribute.relatedCollection)) {
+            errors.push({
+                key: attribute.key,
+                error: `Related collection "${attribute.relatedCollection}" does not exist in destination`
+            });
+            continue;
+        }
+
+        creatable.push(attribute);
+    }
+
+    const result = await createAttributes(databases, destDbId, collectionId, creatable, { silent: true });
+
+    return {
+        successCount: result.successCount,
+        errorCount: result.errorCount + errors.length,
+        errors: [...errors, ...result.errors]
+    };
+}
+
+// Clone the structure of all collections in three phases:
+//   1. collections with their scalar attributes
+//   2. relationship attributes (all related collections now exist, so cycles are fine)
+//   3. indexes (which may cover relationship attributes)
+// With a journal, completed steps are skipped and progress is checkpointed after each step
+// Relationships may also target collections listed in options.existingCollections
+async function cloneDatabaseStructure(sourceDatabases, destDatabases, sourceDbId, destDbId, collections, results, journal = null, options = {}) {
+    const { existingCollections = [] } = options;
+    const states = [];
+    const createdCollections = new Set(existingCollections);
+
+    // Phase 1: collections and scalar attributes
+    const structureBar = createProgressBar(
+        '  Structures |{bar}| {percentage}% | {value}/{total} | {collection}',
+        collections.length
+    );
+
+    for (const collection of collections) {
+        structureBar.update({ collection: collection.name.substring(0, 20).padEnd(20) });
+        const checkpoint = getStructureCheckpoint(journal, collection.$id);
+        const result = await cloneCollectionStructure(
+            sourceDatabases, destDatabases, sourceDbId, destDbId, collection, { silent: true, checkpoint }
+        );
+        saveJournal(journal);
+        if (result.created) {
+            createdCollections.add(collection.$id);
+        }
+        states.push({
+            collection,
+            checkpoint,
+            ...result,
+            attributeErrors: [...result.attributeErrors],
+            errors: result.error ? [result.error] : []
+        });
+        structureBar.increment();
+    }
+
+    structureBar.stop();
+
+    // Phase 2: relationship attributes
+    const withRelationships = states.filter(state =>
+        state.created &&
+        !(state.checkpoint && state.checkpoint.relationships) &&
+        state.relationshipAttributes.some(a => a.side !== 'child')
+    );
+
+    if (withRelationships.length > 0) {
+        const relationBar = createProgressBar(
+            '  Relations  |{bar}| {percentage}% | {value}/{total} | {collection}',
+            withRelationships.length
+        );
+
+        for (const state of withRelationships) {
+            relationBar.update({ collection: state.collection.name.substring(0, 20).padEnd(20) });
+            const relationshipAttributes = state.resumed
+                ? await excludeExistingAttributes(destDatabases, destDbId, state.collection.$id, state.relationshipAttributes)
+                : state.relationshipAttributes;
+            const relResult = await cloneRelationshipAttributes(
+                destDatabases, destDbId, state.collection.$id, relationshipAttributes, createdCollections
+            );
+            if (relResult.errorCount > 0) {
+                state.attributeErrors.push(...relResult.errors);
+                state.errors.push(`${relResult.errorCount} relationship attribute(s) failed to create`);
+            } else if (state.checkpoint) {
+                state.checkpoint.relationships = true;
+            }
+            saveJournal(journal);
+            relationBar.increment();
+        }
+
+        relationBar.stop();
+    }
+
+    // Phase 3: indexes
+    const withIndexes = states.filter(state =>
+        state.created &&
+        !(state.checkpoint && state.checkpoint.indexes) &&
+        state.indexes.length > 0
+    );
+
+    if (withIndexes.length > 0) {
+        const indexBar = createProgressBar(
+            '  Indexes    |{bar}| {percentage}% | {value}/{total} | {collection}',
+            withIndexes.length
+        );
+
+        for (const state of withIndexes) {
+            indexBar.update({ collection: state.collection.name.substring(0, 20).padEnd(20) });
+            const indexes = state.resumed
+                ? await excludeExistingIndexes(destDatabases, destDbId, state.collection.$id, state.indexes)
+                : state.indexes;
+            const idxResult = await createIndexes(destDatabases, destDbId, state.collection.$id, indexes);
+            if (idxResult.errorCount > 0) {
+                // Reported with the attribute errors; --resume retries the collection's indexes
+                state.attributeErrors.push(...idxResult.errors.map(err => ({ key: `index ${err.key}`, error: err.error })));
+                state.errors.push(`${idxResult.errorCount} index(es) failed to create`);
+            } else if (state.checkpoint) {
+                state.checkpoint.indexes = true;
+            }
+            saveJournal(journal);
+            indexBar.increment();
+        }
+
+        indexBar.stop();
+    }
+
+    for (const state of states) {
+        if (state.errors.length === 0) {
+            results.collections.success++;
+            continue;
+        }
+
+        results.collections.failed++;
+        results.collections.errors.push({
+            collection: state.collection.name,
+            error: state.errors.join('; ')
+        });
+        // Track attribute errors separately for detailed reporting
+        if (state.attributeErrors.length > 0) {
+            results.collections.attributeErrors.push({
+                collection: state.collection.name,
+                errors: state.attributeErrors
+            });
+        }
+    }
+}
+
+// Compare a source attribute with its destination counterpart
+// Returns the properties that can be updated in place and the reasons a recreate would be needed
+function diffAttribute(source, dest) {
+    const changes = [];
+    const recreate = [];
+    const type = getAttributeType(source);
+
+    if (type !== getAttributeType(dest)) {
+        recreate.push(`type ${getAttributeType(dest)} -> ${type}`);
+        return { changes, recreate };
+    }
+    if (Boolean(source.array) !== Boolean(dest.array)) {
+        recreate.push(`array ${Boolean(dest.array)} -> ${Boolean(source.array)}`);
+    }
+    if (type === 'string' && source.size !== dest.size) {
+        recreate.push(`size ${dest.size} -> ${source.size}`);
+    }
+    if (type === 'relationship') {
+        for (const prop of ['relatedCollection', 'relationType', 'twoWay', 'twoWayKey']) {
+            if (source[prop] !== dest[prop]) {
+                recreate.push(`${prop} ${dest[prop]} -> ${source[prop]}`);
+            }
+        }
+    }
+
+    for (const prop of UPDATABLE_ATTRIBUTE_PROPERTIES) {
+        if (prop === 'elements' && type !== 'enum') continue;
+        if (prop === 'onDelete' && type !== 'relationship') continue;
+        if ((prop === 'min' || prop === 'max') && !['integer', 'float', 'double'].includes(type)) continue;
+        if (type === 'relationship' && prop !== 'onDelete') continue;
+
+        if (JSON.stringify(source[prop] ?? null) !== JSON.stringify(dest[prop] ?? null)) {
+            changes.push(prop);
+        }
+    }
+
+    return { changes, recreate };
+}
+
+// Compare a source index with its destination counterpart; indexes cannot be updated in place
+function isIndexChanged(source, dest) {
+    return source.type !== dest.type ||
+        JSON.stringify(source.attributes) !== JSON.stringify(dest.attributes) ||
+        JSON.stringify(source.orders || []) !== JSON.stringify(dest.orders || []);
+}
+
+// Diff source and destination schemas collection by collection
+async function buildSchemaDiff(sourceDatabases, destDatabases, sourceDbId, destDbId) {
+    const sourceCollections = filterCollections(await fetchAllCollections(sourceDatabases, sourceDbId));
+    const destCollections = filterCollections(await fetchAllCollections(destDatabases, destDbId));
+    const destById = new Map(destCollections.map(c => [c.$id, c]));
+    const sourceIds = new Set(sourceCollections.map(c => c.$id));
+
+    const diff = { collections: [], extraCollections: [] };
+
+    for (const sourceCollection of sourceCollections) {
+        const { collection, attributes, indexes } = await fetchSourceSchema(sourceDatabases, sourceDbId, sourceCollection);
+        const destCollection = destById.get(collection.$id);
+
+        const entry = {
+            collection,
+            missing: !destCollection,
+            settings: [],
+            attributes: { add: [], update: [], recreate: [], extra: [] },
+            indexes: { add: [], recreate: [], extra: [] }
+        };
+
+        if (!destCollection) {
+            entry.attributes.add = attributes.filter(a => !(a.type === 'relationship' && a.side === 'child'));
+            entry.indexes.add = indexes;
+            diff.collections.push(entry);
+            continue;
+        }
+
+        for (const prop of ['name', 'documentSecurity', 'enabled', '$permissions']) {
+            if (JSON.stringify(collection[prop]) !== JSON.stringify(destCollection[prop])) {
+                entry.settings.push(prop);
+            }
+        }
+
+        const destAttributes = await fetchAllAttributes(destDatabases, destDbId, collection.$id);
+        const destAttrByKey = new Map(destAttributes.map(a => [a.key, a]));
+        const sourceAttrKeys = new Set(attributes.map(a => a.key));
+
+        for (const attribute of attributes) {
+            const destAttribute = destAttrByKey.get(attribute.key);
+            if (!destAttribute) {
+                // Child sides of two-way relationships are created along with the parent side
+                if (!(attribute.type === 'relationship' && attribute.side === 'child')) {
+                    entry.attributes.add.push(attribute);
+                }
+                continue;
+            }
+
+            const { changes, recreate } = diffAttribute(attribute, destAttribute);
+            if (recreate.length > 0) {
+                entry.attributes.recreate.push({ key: attribute.key, reasons: recreate });
+            } else if (changes.length > 0) {
+                entry.attributes.update.push({ attribute, destAttribute, changes });
+            }
+        }
+
+        // Child relationship attributes are removed along with their parent side
+        entry.attributes.extra = destAttributes
+            .filter(a => !sourceAttrKeys.has(a.key) && !(a.type === 'relationship' && a.side === 'child'))
+            .map(a => a.key);
+
+        const destIndexes = await fetchAllIndexes(destDatabases, destDbId, collection.$id);
+        const destIdxByKey = new Map(destIndexes.map(idx => [idx.key, idx]));
+        const sourceIdxKeys = new Set(indexes.map(idx => idx.key));
+
+        for (const index of indexes) {
+            const destIndex = destIdxByKey.get(index.key);
+            if (!destIndex) {
+                entry.indexes.add.push(index);
+            } else if (isIndexChanged(index, destIndex)) {
+                entry.indexes.recreate.push(index);
+            }
+        }
+        entry.indexes.extra = destIndexes.filter(idx => !sourceIdxKeys.has(idx.key)).map(idx => idx.key);
+
+        diff.collections.push(entry);
+    }
+
+    diff.extraCollections = destCollections
+        .filter(c => !sourceIds.has(c.$id))
+        .map(c => ({ id: c.$id, name: c.name }));
+
+    return diff;
+}
+
+// Check whether a collection diff has any changes
+function hasSchemaChanges(entry) {
+    return entry.missing ||
+        entry.settings.length > 0 ||
+        Object.values(entry.attributes).some(list => list.length > 0) ||
+        Object.values(entry.indexes).some(list => list.length > 0);
+}
+
+// Print a schema diff
+function printSchemaDiff(diff, options = {}) {
+    const { prune = false } = options;
+    const changed = diff.collections.filter(hasSchemaChanges);
+
+    console.log('\n' + styleText('cyan', '--- Schema Differences ---'));
+
+    if (changed.length === 0 && diff.extraCollections.length === 0) {
+        console.log('\n  Schemas are in sync.');
+        return;
+    }
+
+    for (const entry of changed) {
+        const { collection, attributes, indexes } = entry;
+        console.log(`\n  ${collection.name} (${collection.$id})${entry.missing ? styleText('green', ' [new collection]') : ''}`);
+
+        if (entry.settings.length > 0) {
+            console.log(`    ~ settings: ${entry.settings.join(', ')}`);
+        }
+        for (const attr of attributes.add) {
+            console.log(styleText('green', `    + attribute ${attr.key} (${getAttributeType(attr)})`));
+        }
+        for (const { attribute, changes } of attributes.update) {
+            console.log(styleText('yellow', `    ~ attribute ${attribute.key}: ${changes.join(', ')}`));
+        }
+        for (const { key, reasons } of attributes.recreate) {
+            console.log(styleText('red', `    ! attribute ${key} requires recreation (${reasons.join('; ')}), not applied`));
+        }
+        for (const key of attributes.extra) {
+            console.log(prune
+                ? styleText('red', `    - attribute ${key} (removed)`)
+                : `    = attribute ${key} only exists in destination (kept, use --prune to remove)`);
+        }
+        for (const idx of indexes.add) {
+            console.log(styleText('green', `    + index ${idx.key} [${idx.attributes.join(', ')}]`));
+        }
+        for (const idx of indexes.recreate) {
+            console.log(styleText('yellow', `    ~ index ${idx.key} [${idx.attributes.join(', ')}] (recreated)`));
+        }
+        for (const key of indexes.extra) {
+            console.log(prune
+                ? styleText('red', `    - index ${key} (removed)`)
+                : `    = index ${key} only exists in destination (kept, use --prune to remove)`);
+        }
+    }
+
+    for (const coll of diff.extraCollections) {
+        console.log(`\n  ${coll.name} (${coll.id}) only exists in destination (never removed by schema sync)`);
+    }
+}
+
+// Bounds Appwrite applies to numeric attributes created without min/max
+const NUMERIC_TYPE_LIMITS = {
+    integer: { min: Number.MIN_SAFE_INTEGER, max: Number.MAX_SAFE_INTEGER },
+    float: { min: -Number.MAX_VALUE, max: Number.MAX_VALUE }
+};
+
+// Bounds for updating a numeric attribute: the update call requires both, so a bound the
+// source leaves out falls back to the destination attribute's, then to the type's limit
+function getUpdateBounds(attribute, destAttribute, type) {
+    const limits = NUMERIC_TYPE_LIMITS[type === 'integer' ? 'integer' : 'float'];
+    return {
+        min: attribute.min ?? destAttribute?.min ?? limits.min,
+        max: attribute.max ?? destAttribute?.max ?? limits.max
+    };
+}
+
+// Update an attribute's properties in place
+async function updateAttribute(databases, databaseId, collectionId, attribute, destAttribute = null) {
+    const { key } = attribute;
+    const required = attribute.required || false;
+    // Required attributes cannot have a default value
+    const xdefault = required ? null : (attribute.default ?? null);
+    const type = getAttributeType(attribute);
+
+    switch (type) {
+        case 'string':
+            return databases.updateStringAttribute(databaseId, collectionId, key, required, xdefault);
+        case 'integer': {
+            const { min, max } = getUpdateBounds(attribute, destAttribute, type);
+            return databases.updateIntegerAttribute(databaseId, collectionId, key, required, min, max, xdefault);
+        }
+        case 'float':
+        case 'double': {
+            const { min, max } = getUpdateBounds(attribute, destAttribute, type);
+            return databases.updateFloatAttribute(databaseId, collectionId, key, required, min, max, xdefault);
+        }
+        case 'boolean':
+            return databases.updateBooleanAttribute(databaseId, collectionId, key, required, xdefault);
+        case 'datetime':
+            return databases.updateDatetimeAttribute(databaseId, collectionId, key, required, xdefault);
+        case 'email':
+            return databases.updateEmailAttribute(databaseId, collectionId, key, required, xdefault);
+        case 'ip':
+            return databases.updateIpAttribute(databaseId, collectionId, key, required, xdefault);
+        case 'url':
+            return databases.updateUrlAttribute(databaseId, collectionId, key, required, xdefault);
+        case 'enum':
+            return databases.updateEnumAttribute(databaseId, collectionId, key, attribute.elements || [], required, xdefault);
+        case 'relationship':
+            return databases.updateRelationshipAttribute(databaseId, collectionId, key, attribute.onDelete);
+        default:
+            throw new Error(`Unknown type: ${attribute.type}`);
+    }
+}
+
+// Apply a schema diff without dropping anything (unless prune is set for extra attributes/indexes)
+async function applySchemaDiff(sourceDatabases, destDatabases, sourceDbId, destDbId, diff, options = {}) {
+    const { prune = false } = options;
+
+    const results = {
+        collections: { success: 0, failed: 0, errors: [], attributeErrors: [] },
+        created: 0,
+        updated: 0,
+        removed: 0,
+        recreateRequired: [],
+        errors: []
+    };
+    const recordError = (collection, item, error) => {
+        results.errors.push({ collection: collection.name, item, error: error.message || error });
+    };
+
+    // Missing collections go through the regular three-phase structure clone
+    const missing = diff.collections.filter(entry => entry.missing).map(entry => entry.collection);
+    const existing = diff.collections.filter(entry => !entry.missing);
+
+    if (missing.length > 0) {
+        console.log(`\n  Creating ${missing.length} missing collections...`);
+        await cloneDatabaseStructure(sourceDatabases, destDatabases, sourceDbId, destDbId, missing, results, null, {
+            existingCollections: existing.map(entry => entry.collection.$id)
+        });
+    }
+
+    const destCollectionIds = new Set(
+        (await fetchAllCollections(destDatabases, destDbId)).map(c => c.$id)
+    );
+
+    for (const entry of existing.filter(hasSchemaChanges)) {
+        const { collection } = entry;
+        console.log(`\n  Syncing ${collection.name} (${collection.$id})...`);
+
+        if (entry.settings.length > 0) {
+            try {
+                await destDatabases.updateCollection(
+                    destDbId,
+                    collection.$id,
+                    collection.name,
+                    collection.$permissions,
+                    collection.documentSecurity,
+                    collection.enabled
+                );
+                results.updated++;
+            } catch (error) {
+                recordError(collection, 'settings', error);
+            }
+        }
+
+        // Scalar attributes first; relationships once every collection exists
+        const scalar = entry.attributes.add.filter(a => a.type !== 'relationship');
+        const relationships = entry.attributes.add.filter(a => a.type === 'relationship');
+
+        const attrResult = await createAttributes(destDatabases, destDbId, collection.$id, scalar, { silent: true });
+        results.created += attrResult.successCount;
+        attrResult.errors.forEach(err => recordError(collection, err.key, err.error));
+
+        const relResult = await cloneRelationshipAttributes(
+            destDatabases, destDbId, collection.$id, relationships, destCollectionIds
+        );
+        results.created += relResult.successCount;
+        relResult.errors.forEach(err => recordError(collection, err.key, err.error));
+
+        for (const { attribute, destAttribute } of entry.attributes.update) {
+            try {
+                await updateAttribute(destDatabases, destDbId, collection.$id, attribute, destAttribute);
+                results.updated++;
+            } catch (error) {
+                recordError(collection, attribute.key, error);
+            }
+        }
+
+        for (const { key, reasons } of entry.attributes.recreate) {
+            results.recreateRequired.push({ collection: collection.name, key, reasons });
+        }
+
+        // Changed indexes are dropped and recreated once the deletion finished; this never touches documents
+        const recreate = [];
+        for (const index of entry.indexes.recreate) {
+            try {
+                await destDatabases.deleteIndex(destDbId, collection.$id, index.key);
+                results.removed++;
+            } catch (error) {
+                recordError(collection, index.key, error);
+                continue;
+            }
+            if (await waitForIndexDeleted(destDatabases, destDbId, collection.$id, index.key)) {
+                recreate.push(index);
+            } else {
+                recordError(collection, index.key, 'Index is still being deleted, not recreated; rerun the schema sync');
+            }
+        }
+        const idxResult = await createIndexes(
+            destDatabases, destDbId, collection.$id, [...entry.indexes.add, ...recreate]
+        );
+        results.created += idxResult.successCount;
+        idxResult.errors.forEach(err => recordError(collection, err.key, err.error));
+
+        if (prune) {
+            for (const key of entry.indexes.extra) {
+                try {
+                    await destDatabases.deleteIndex(destDbId, collection.$id, key);
+                    results.removed++;
+                } catch (error) {
+                    recordError(collection, key, error);
+                }
+            }
+            for (const key of entry.attributes.extra) {
+                try {
+                    await destDatabases.deleteAttribute(destDbId, collection.$id, key);
+                    results.removed++;
+                } catch (error) {
+                    recordError(collection, key, error);
+                }
+            }
+        }
+    }
+
+    // Failures from the structure clone of missing collections
+    for (const err of results.collections.errors) {
+        results.errors.push({ collection: err.collection, item: 'collection', error: err.error });
+    }
+    for (const { collection, errors } of results.collections.attributeErrors) {
+        errors.forEach(err => results.errors.push({ collection, item: err.key, error: err.error }));
+    }
+
+    return results;
+}
+
+// Diff the schemas, confirm and apply the changes (or only print them on a dry run)
+async function runSchemaSync(sourceDatabases, destDatabases, sourceDb, destDb, cli) {
+    const diff = await buildSchemaDiff(
+        sourceDatabases, destDatabases, config.sourceDatabaseId, config.destDatabaseId
+    );
+    printSchemaDiff(diff, { prune: cli.prune });
+
+    const recreateCount = diff.collections.reduce((sum, entry) => sum + entry.attributes.recreate.length, 0);
+
+    if (cli.dryRun) {
+        if (cli.output) {
+            console.log(`\n  Diff saved to: ${styleText('cyan', writePlanFile(diff, cli.output))}`);
+        }
+        if (recreateCount > 0) {
+            process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+        }
+        return;
+    }
+
+    if (!diff.collections.some(hasSchemaChanges)) {
+        return;
+    }
+
+    await confirmMigration(sourceDb, destDb, { ...cli, mode: 'schema-sync' });
+
+    console.log('\n' + '='.repeat(60));
+    console.log(styleText('cyan', '  Starting Schema Sync'));
+    console.log('='.repeat(60));
+
+    const results = await applySchemaDiff(
+        sourceDatabases, destDatabases, config.sourceDatabaseId, config.destDatabaseId, diff, { prune: cli.prune }
+    );
+
+    console.log('\n' + '='.repeat(60));
+    console.log(styleText('green', styleText('bold', '  Schema Sync Complete!')));
+    console.log('='.repeat(60));
+
+    console.log(`\n  Collections created: ${styleText('green', String(results.collections.success))}`);
+    console.log(`  Created: ${styleText('green', String(results.created))}`);
+    console.log(`  Updated: ${styleText('green', String(results.updated))}`);
+    console.log(`  Removed: ${styleText(results.removed > 0 ? 'yellow' : 'green', String(results.removed))}`);
+
+    if (results.recreateRequired.length > 0) {
+        console.log('\n' + styleText('yellow', 'Attributes that must be recreated manually (data would be lost):'));
+        for (const item of results.recreateRequired) {
+            console.log(`  - ${item.collection}.${item.key}: ${item.reasons.join('; ')}`);
+        }
+    }
+
+    if (results.errors.length > 0) {
+        console.log('\n' + styleText('red', 'Errors:'));
+        for (const err of results.errors) {
+            console.log(`  - ${err.collection} (${err.item}): ${err.error}`);
+        }
+    }
+
+    if (results.errors.length > 0 || results.recreateRequired.length > 0) {
+        process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+    }
 }
 
-// Fetch all attributes from a collection
-async function fetchAllAttributes(databases, databaseId, collectionId) {
-    const attributes = [];
-    let lastId = null;
-    let hasMore = true;
+// Run a CSV import into the destination database (validation only with --dry-run)
+async function runCSVImport(destDatabases, destDb, cli, limiter) {
+    const inputPath = cli.input || (cli.assumeYes
+        ? config.csv.outputDir
+        : await input({ message: 'CSV file or directory to import:', default: config.csv.outputDir }));
 
-    while (hasMore) {
-        const queries = [Query.limit(100)];
+    if (!cli.dryRun) {
+        await confirmMigration(null, destDb, { ...cli, mode: 'import-csv', inputPath });
+    }
 
-        if (lastId) {
-            queries.push(Query.cursorAfter(lastId));
+    console.log('\n' + '='.repeat(60));
+    console.log(styleText('cyan', cli.dryRun ? '  Validating CSV Import' : '  Starting CSV Import'));
+    console.log('='.repeat(60));
+
+    console.log(`\n  Input:       ${inputPath}`);
+    console.log(`  Destination: ${destDb.name} (${destDb.id}) [${config.destination.projectId}]`);
+
+    const results = await importFromCSV(destDatabases, config.destDatabaseId, inputPath, { dryRun: cli.dryRun, limiter });
+
+    console.log('\n' + '='.repeat(60));
+    console.log(styleText('green', styleText('bold', cli.dryRun ? '  CSV Validation Complete!' : '  CSV Import Complete!')));
+    console.log('='.repeat(60));
+
+    console.log(`\n  ${cli.dryRun ? 'Valid rows:   ' : 'Rows imported:'} ${styleText('green', String(results.imported))}`);
+    if (results.failed > 0) {
+        console.log(`  Rows failed:   ${styleText('red', String(results.failed))}`);
+    }
+
+    console.log(`\n  Files:`);
+    for (const file of results.files) {
+        const status = file.failed > 0 ? styleText('yellow', '!') : styleText('green', '✓');
+        console.log(`    ${status} ${file.filename} -> ${file.collection} (${file.imported} ${cli.dryRun ? 'valid' : 'imported'}, ${file.failed} failed)`);
+        if (file.ignoredColumns.length > 0) {
+            console.log(styleText('yellow', `      Ignored columns without an attribute: ${file.ignoredColumns.join(', ')}`));
         }
+    }
+    for (const { filename, reason } of results.skipped) {
+        console.log(`    ${styleText('yellow', '-')} ${filename}: skipped (${reason})`);
+    }
 
-        const response = await databases.listAttributes(databaseId, collectionId, queries);
-        attributes.push(...response.attributes);
+    if (results.errors.length > 0) {
+        console.log('\n' + styleText('red', 'Row errors (first 10):'));
+        for (const err of results.errors.slice(0, 10)) {
+            console.log(`  - ${err.file}${err.line ? ` line ${err.line}` : ''}: ${err.error}`);
+        }
+        console.log(`\n  Error report: ${styleText('cyan', results.reportFile)}`);
+        process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+    }
+}
 
-        if (response.attributes.length < 100) {
-            hasMore = false;
-        } else {
-            lastId = response.attributes[response.attributes.length - 1].key;
+// Back up the source database to an archive directory
+async function runBackup(sourceDatabases, sourceDb, cli) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const archiveDir = cli.archive || join(BACKUP_DIR, `${sourceDb.id}_${timestamp}`);
+    if (existsSync(join(archiveDir, 'manifest.json'))) {
+        throw new Error(`${archiveDir} already contains a backup`);
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(styleText('cyan', '  Starting Backup'));
+    console.log('='.repeat(60));
+
+    console.log(`\n  Source:  ${sourceDb.name} (${sourceDb.id}) [${config.source.projectId}]`);
+    console.log(`  Archive: ${archiveDir}`);
+
+    const manifest = await createBackup(sourceDatabases, config.sourceDatabaseId, archiveDir);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(styleText('green', styleText('bold', '  Backup Complete!')));
+    console.log('='.repeat(60));
+
+    console.log(`\n  Archive:     ${styleText('cyan', archiveDir)}`);
+    console.log(`  Collections: ${styleText('green', String(manifest.totals.collections))}`);
+    console.log(`  Documents:   ${styleText('green', String(manifest.totals.documents))}`);
+}
+
+// Verify a backup archive and restore it into the destination database (verification only with --dry-run)
+async function runRestore(destDatabases, destDb, cli, limiter) {
+    const archiveDir = cli.archive || (cli.assumeYes
+        ? null
+        : await input({ message: 'Backup archive directory to restore:' }));
+    if (!archiveDir) {
+        console.error(styleText('red', '\nError: Restore requires --archive <dir>.'));
+        process.exit(EXIT_CODES.USAGE);
+    }
+
+    console.log(`\nVerifying backup ${archiveDir}...`);
+    const archive = await loadBackupArchive(archiveDir);
+    const { manifest } = archive;
+    const collections = filterCollections(manifest.collections.map(entry => archive.schemas[entry.id].collection));
+
+    console.log(styleText('green', `  Checksums verified (${Object.keys(manifest.checksums).length} files)`));
+    console.log(`  Created:     ${manifest.createdAt} from ${manifest.source.databaseId} [${manifest.source.projectId}]`);
+    console.log(`  Collections: ${collections.length} of ${manifest.totals.collections} selected, ${manifest.totals.documents} documents in the backup`);
+
+    if (cli.dryRun) {
+        return;
+    }
+
+    // The archive can only be read in order, so configured document filters do not apply
+    if (Object.keys(config.documentFilters).length > 0) {
+        console.log(styleText('yellow', `  Document filters in ${config.configFile} are not applied to restores`));
+        config.documentFilters = {};
+    }
+
+    // A restore writes the backup as it is, so configured masking and transform hooks are ignored
+    if (config.masking.enabled || config.hooks) {
+        console.log(styleText('yellow', '  Masking and transform hooks are not applied to restores'));
+        config.masking = { ...config.masking, enabled: false };
+        config.hooks = null;
+    }
+
+    await confirmMigration(null, destDb, { ...cli, mode: 'restore', inputPath: archiveDir });
+
+    console.log('\n' + '='.repeat(60));
+    console.log(styleText('cyan', '  Starting Restore'));
+    console.log('='.repeat(60));
+
+    console.log(`\n  Backup:      ${archiveDir}`);
+    console.log(`  Destination: ${destDb.name} (${destDb.id}) [${config.destination.projectId}]`);
+
+    await dropDestinationCollections(destDatabases, config.destDatabaseId, collections.map(c => c.$id));
+
+    const results = await cloneDatabase(
+        createArchiveDatabases(archive),
+        destDatabases,
+        manifest.source.databaseId,
+        config.destDatabaseId,
+        { cloneStructure: true, cloneData: true, idStrategy: 'preserve', keepPermissions: true, limiter }
+    );
+
+    console.log('\n' + '='.repeat(60));
+    console.log(styleText('green', styleText('bold', '  Restore Complete!')));
+    console.log('='.repeat(60));
+
+    console.log(`\n  Collections restored: ${styleText('green', String(results.collections.success))}`);
+    console.log(`  Documents restored:   ${styleText('green', String(results.documents.success))}`);
+    if (results.collections.failed > 0) {
+        console.log(`  Collections failed:   ${styleText('red', String(results.collections.failed))}`);
+    }
+    if (results.documents.failed > 0) {
+        console.log(`  Documents failed:     ${styleText('red', String(results.documents.failed))}`);
+    }
+
+    if (results.collections.errors.length > 0) {
+        console.log('\n' + styleText('red', 'Collection errors:'));
+        for (const err of results.collections.errors) {
+            console.log(`  - ${err.collection}: ${err.error}`);
+        }
+    }
+    if (results.documents.errors.length > 0) {
+        console.log('\n' + styleText('red', 'Document errors by collection:'));
+        for (const collErr of results.documents.errors) {
+            console.log(`\n  ${collErr.collection}:`);
+            for (const err of collErr.errors) {
+                console.log(`    - Document ${err.documentId}: ${err.error}`);
+            }
         }
     }
 
-    return attributes;
+    if (results.collections.failed > 0 || results.documents.failed > 0) {
+        process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+    }
 }
 
-// Fetch all indexes from a collection
-async function fetchAllIndexes(databases, databaseId, collectionId) {
-    const indexes = [];
-    let lastId = null;
-    let hasMore = true;
+// Load the match keys that identify records per collection (used for missing record detection)
+// The file maps collection IDs to a field, a list of fields (composite key) or "$id", e.g.
+//   { "packaging_records": "waybill_number", "packaging_items": ["packaging_record_id", "product_barcode"] }
+function loadMatchKeys(filepath = config.matchKeysFile) {
+    if (!filepath || !existsSync(filepath)) {
+        return { ...DEFAULT_MATCH_KEYS };
+    }
 
-    while (hasMore) {
-        const queries = [Query.limit(100)];
+    let raw;
+    try {
+        raw = JSON.parse(readFileSync(filepath, 'utf-8'));
+    } catch (error) {
+        throw new Error(`Invalid match keys file ${filepath}: ${error.message}`);
+    }
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error(`Invalid match keys file ${filepath}: expected an object of collection IDs`);
+    }
 
-        if (lastId) {
-            queries.push(Query.cursorAfter(lastId));
+    const matchKeys = {};
+    for (const [collectionId, key] of Object.entries(raw)) {
+        const fields = Array.isArray(key) ? key : [key];
+        if (fields.length === 0 || !fields.every(field => typeof field === 'string' && field.length > 0)) {
+            throw new Error(`Invalid match key for collection "${collectionId}" in ${filepath}: expected a field name or a list of field names`);
+        }
+        matchKeys[collectionId] = fields;
+    }
+    return matchKeys;
+}
+
+// Check the match keys against the source schema before comparing any documents
+// Collections without a key fall back to comparing the whole document content
+async function validateMatchKeys(databases, databaseId, matchKeys, idStrategy, defaultFields = null) {
+    const errors = [];
+    const warnings = [];
+    const collections = filterCollections(await fetchAllCollections(databases, databaseId));
+    const collectionIds = new Set(collections.map(c => c.$id));
+
+    for (const collection of collections) {
+        const fields = matchKeys[collection.$id] || defaultFields;
+        if (!fields) {
+            warnings.push({
+                collection: collection.name,
+                item: collection.$id,
+                message: 'No match key configured; documents are compared by content, so changed documents are added again'
+            });
+            continue;
         }
 
-        const response = await databases.listIndexes(databaseId, collectionId, queries);
-        indexes.push(...response.indexes);
+        const attributes = await fetchAllAttributes(databases, databaseId, collection.$id);
+        const attributeKeys = new Set(attributes.map(a => a.key));
 
-        if (response.indexes.length < 100) {
-            hasMore = false;
-        } else {
-            lastId = response.indexes[response.indexes.length - 1].key;
+        for (const field of fields) {
+            if (field === '$id') {
+                // Source IDs only carry over to the destination when they are preserved or derived from the source ID
+                if (idStrategy === 'unique') {
+                    errors.push({
+                        collection: collection.name,
+                        item: field,
+                        message: 'Matching on $id requires the preserve or deterministic ID strategy'
+                    });
+                }
+            } else if (!attributeKeys.has(field)) {
+                // Built-in defaults only apply where the field exists; documents without it are compared by content
+                (fields === DEFAULT_MATCH_KEYS[collection.$id] ? warnings : errors).push({
+                    collection: collection.name,
+                    item: field,
+                    message: 'Match key field does not exist in the source collection'
+                });
+            }
         }
     }
 
-    return indexes;
+    for (const collectionId of Object.keys(matchKeys)) {
+        if (!collectionIds.has(collectionId) && matchKeys[collectionId] !== DEFAULT_MATCH_KEYS[collectionId]) {
+            warnings.push({
+                collection: collectionId,
+                item: collectionId,
+                message: 'Match key configured for a collection that does not exist in the source'
+            });
+        }
+    }
+
+    return { errors, warnings };
 }
 
-// Wait for attribute to be available (not processing)
-async function waitForAttribute(databases, databaseId, collectionId, attributeKey, maxRetries = 30) {
-    for (let i = 0; i < maxRetries; i++) {
-        const attributes = await fetchAllAttributes(databases, databaseId, collectionId);
-        const attribute = attributes.find(a => a.key === attributeKey);
+// Get the match key used for collections without a configured one
+// Upserts, mirrors and incremental syncs match on $id by default; missing-only falls back to comparing document content
+function getDefaultMatchFields(cloneMode) {
+    return ['upsert', 'mirror', 'incremental'].includes(cloneMode) ? ['$id'] : null;
+}
 
-        if (attribute && attribute.status === 'available') {
-            return true;
+// Build the match key of a document from its key fields
+// Returns null when a key field has no value, so the document is compared by content instead
+function buildMatchKey(document, fields, documentId = document.$id) {
+    const values = [];
+    for (const field of fields) {
+        let value = field === '$id' ? documentId : document[field];
+        // Related documents are matched by their ID
+        if (value && typeof value === 'object' && !Array.isArray(value) && value.$id) {
+            value = value.$id;
+        }
+        if (value === undefined || value === null || value === '') {
+            return null;
         }
+        values.push(value);
+    }
+    return JSON.stringify(values);
+}
 
-        // Wait 1 second before retrying
-        await new Promise(resolve => setTimeout(resolve, 1000));
+// Build a set of existing record keys from destination for comparison
+async function buildExistingRecordSet(databases, destDbId, collectionId, matchKeys) {
+    const fields = matchKeys[collectionId] || null;
+
+    // Only the keys are kept in memory, not the documents themselves
+    const existingSet = new Set();
+    for await (const page of fetchDocumentPages(databases, destDbId, collectionId)) {
+        for (const doc of page) {
+            const key = fields ? buildMatchKey(doc, fields) : null;
+            // Documents without a complete match key are compared by content
+            existingSet.add(key ?? JSON.stringify(cleanDocumentData(doc)));
+        }
     }
+    return { existingSet, fields };
+}
 
-    return false;
+// Fingerprint the compared fields of cleaned document data
+function fingerprintDocument(data, keys) {
+    const values = keys.map(key => [key, data[key] ?? null]);
+    return createHash('sha1').update(JSON.stringify(values)).digest('hex');
 }
 
-// Create an attribute in the destination collection
-async function createAttribute(databases, databaseId, collectionId, attribute) {
-    const { key, type, size, required, array, xdefault } = attribute;
+// Index existing destination documents by match key for upserts and mirrors
+// Only the destination ID and a fingerprint of the compared fields are kept in memory;
+// further documents with an already indexed key are returned as duplicates
+async function buildExistingRecordIndex(databases, destDbId, collectionId, fields, compareKeys, queries = []) {
+    const existing = new Map();
+    const duplicates = [];
+    for await (const page of fetchDocumentPages(databases, destDbId, collectionId, { queries })) {
+        for (const doc of page) {
+            const fingerprint = fingerprintDocument(cleanDocumentData(doc), compareKeys);
+            // Documents without a complete match key can only match by content
+            const key = buildMatchKey(doc, fields) ?? `content:${fingerprint}`;
+            if (existing.has(key)) {
+                duplicates.push(doc.$id);
+            } else {
+                existing.set(key, { id: doc.$id, fingerprint, matched: false });
+            }
+        }
+    }
+    return { existing, duplicates };
+}
 
-    try {
-        switch (type) {
-            case 'string':
-                await databases.createStringAttribute(
-                    databaseId,
-                    collectionId,
-                    key,
-                    size || 255,
-                    required || false,
-                    xdefault,
-                    array || false
-                );
-                break;
+// Look up the destination document matching a source document (incremental mode)
+// Returns { id, fingerprint } like the existing record index, or null when there is none
+async function findExistingDocument(databases, destDbId, collectionId, fields, document, destId, compareKeys) {
+    let existing = null;
 
-            case 'integer':
-                await databases.createIntegerAttribute(
-                    databaseId,
-                    collectionId,
-                    key,
-                    required || false,
-                    attribute.min,
-                    attribute.max,
-                    xdefault,
-                    array || false
-                );
-                break;
+    if (fields.length === 1 && fields[0] === '$id') {
+        try {
+            existing = await databases.getDocument(destDbId, collectionId, destId);
+        } catch (error) {
+            if (error.code !== 404) throw error;
+        }
+    } else {
+        const key = buildMatchKey(document, fields, destId);
+        if (key === null) {
+            return null;
+        }
+        const values = JSON.parse(key);
+        const queries = fields.map((field, i) => Query.equal(field, values[i]));
+        const response = await databases.listDocuments(destDbId, collectionId, [...queries, Query.limit(1)]);
+        existing = response.documents[0] || null;
+    }
 
-            case 'float':
-            case 'double':
-                await databases.createFloatAttribute(
-                    databaseId,
-                    collectionId,
-                    key,
-                    required || false,
-                    attribute.min,
-                    attribute.max,
-                    xdefault,
-                    array || false
-                );
-                break;
+    return existing
+        ? { id: existing.$id, fingerprint: fingerprintDocument(cleanDocumentData(existing), compareKeys) }
+        : null;
+}
 
-            case 'boolean':
-                await databases.createBooleanAttribute(
-                    databaseId,
-                    collectionId,
-                    key,
-                    required || false,
-                    xdefault,
-                    array || false
-                );
-                break;
+// Throw when a mirror would delete more than the allowed share of a collection
+function assertDeleteThreshold(collectionName, deleteCount, total, maxDeletePercent) {
+    const percent = total > 0 ? (deleteCount / total) * 100 : 0;
+    if (deleteCount > 0 && percent > maxDeletePercent) {
+        throw new Error(
+            `Mirror aborted: ${deleteCount} of ${total} documents (${percent.toFixed(1)}%) in "${collectionName}" ` +
+            `would be deleted, above the ${maxDeletePercent}% threshold. Raise MIRROR_MAX_DELETE_PERCENT ` +
+            '(or --max-delete-percent) if this is expected.'
+        );
+    }
+}
 
-            case 'datetime':
-                await databases.createDatetimeAttribute(
-                    databaseId,
-                    collectionId,
-                    key,
-                    required || false,
-                    xdefault,
-                    array || false
-                );
-                break;
+// Check the mirror threshold before anything is written to a collection
+// The source is read an extra time to find the destination documents no source document matches
+async function checkMirrorThreshold(collection, pages, existingIndex, duplicates, getMatchKey, maxDeletePercent) {
+    const matched = new Set();
+    for await (const page of pages) {
+        for (const sourceDocument of page) {
+            const key = await getMatchKey(sourceDocument);
+            if (key !== null && existingIndex.has(key)) {
+                matched.add(key);
+            }
+        }
+    }
+    const deleteCount = existingIndex.size - matched.size + duplicates.length;
+    assertDeleteThreshold(collection.name, deleteCount, existingIndex.size + duplicates.length, maxDeletePercent);
+}
 
-            case 'email':
-                await databases.createEmailAttribute(
-                    databaseId,
-                    collectionId,
-                    key,
-                    required || false,
-                    xdefault,
-                    array || false
-                );
-                break;
+// Delete destination documents that no longer exist in the source (mirror mode)
+// Aborts before deleting anything when the share of the collection exceeds the threshold
+async function deleteUnmatchedDocuments(context, collection, existingIndex, duplicates, maxDeletePercent) {
+    const { destDatabases, destDbId, results } = context;
+    const { $id: collectionId, name: collectionName } = collection;
 
-            case 'ip':
-                await databases.createIpAttribute(
-                    databaseId,
-                    collectionId,
-                    key,
-                    required || false,
-                    xdefault,
-                    array || false
-                );
-                break;
+    const unmatched = [...existingIndex.values()].filter(entry => !entry.matched).map(entry => entry.id);
+    const toDelete = [...unmatched, ...duplicates];
+    if (toDelete.length === 0) {
+        return;
+    }
 
-            case 'url':
-                await databases.createUrlAttribute(
-                    databaseId,
-                    collectionId,
-                    key,
-                    required || false,
-                    xdefault,
-                    array || false
-                );
-                break;
+    assertDeleteThreshold(collectionName, toDelete.length, existingIndex.size + duplicates.length, maxDeletePercent);
+
+    const pool = createWorkerPool(context.limiter);
+    for (const documentId of toDelete) {
+        await pool.submit(async () => {
+            try {
+                await destDatabases.deleteDocument(destDbId, collectionId, documentId);
+                results.documents.deleted++;
+                tallyDocument(results, collectionName, 'deleted');
+            } catch (error) {
+                results.documents.failed++;
+                tallyDocument(results, collectionName, 'failed');
+                recordDocumentError(results, collectionName, documentId, `Delete failed: ${error.message}`);
+            }
+        });
+    }
+    await pool.drain();
+}
+
+// Check if a document already exists in destination
+// The destination ID of the source document is needed when matching on $id
+function isDocumentMissing(document, existingSet, fields, destId) {
+    const key = fields ? buildMatchKey(document, fields, destId) : null;
+    return !existingSet.has(key ?? JSON.stringify(cleanDocumentData(document)));
+}
+
+// Fetch relationship attributes for each collection, keyed by collection ID
+// With hooks, these are the attributes transformSchema gives the destination collections
+async function fetchRelationshipAttributes(databases, databaseId, collections, hooks = null) {
+    const relationships = {};
 
-            case 'enum':
-                await databases.createEnumAttribute(
-                    databaseId,
-                    collectionId,
-                    key,
-                    attribute.elements || [],
-                    required || false,
-                    xdefault,
-                    array || false
-                );
-                break;
+    for (const collection of collections) {
+        const attributes = hooks
+            ? (await fetchSourceSchema(databases, databaseId, collection, hooks)).attributes
+            : await fetchAllAttributes(databases, databaseId, collection.$id);
+        relationships[collection.$id] = attributes.filter(a => a.type === 'relationship');
+    }
 
-            case 'relationship':
-                await databases.createRelationshipAttribute(
-                    databaseId,
-                    collectionId,
-                    attribute.relatedCollection,
-                    attribute.relationType,
-                    attribute.twoWay || false,
-                    key,
-                    attribute.twoWayKey,
-                    attribute.onDelete || 'restrict'
-                );
-                break;
+    return relationships;
+}
 
-            default:
-                console.log(`      Warning: Unknown attribute type "${type}" for key "${key}", skipping...`);
-                return { success: false, error: `Unknown type: ${type}` };
-        }
+// Rank a document for deterministic sampling: the same seed always picks the same documents
+function getSubsetRank(seed, collectionId, documentId) {
+    return createHash('sha256').update(`${seed}:${collectionId}:${documentId}`).digest('hex');
+}
 
-        return { success: true };
-    } catch (error) {
-        return { success: false, error: error.message };
+// Add an entry to a max-heap by rank that holds at most size entries; once full, an entry
+// only goes in by replacing the highest rank, so the heap keeps the lowest ranks seen
+function pushLowestRanked(heap, entry, size) {
+    if (heap.length >= size) {
+        if (entry.rank >= heap[0].rank) {
+            return;
+        }
+        heap[0] = entry;
+    } else {
+        heap.push(entry);
+        // Sift the new entry up
+        let i = heap.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (heap[parent].rank >= heap[i].rank) break;
+            [heap[parent], heap[i]] = [heap[i], heap[parent]];
+            i = parent;
+        }
+        return;
+    }
+    // Sift the replaced root down
+    let i = 0;
+    for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let largest = i;
+        if (left < heap.length && heap[left].rank > heap[largest].rank) largest = left;
+        if (right < heap.length && heap[right].rank > heap[largest].rank) largest = right;
+        if (largest === i) break;
+        [heap[largest], heap[i]] = [heap[i], heap[largest]];
+        i = largest;
     }
 }
 
-// Create all attributes in the destination collection
-async function createAttributes(databases, databaseId, collectionId, attributes, options = {}) {
-    const { silent = false } = options;
-    const log = silent ? () => {} : console.log;
+// Sample root document IDs: a count keeps the lowest ranked documents, a fraction
+// keeps documents whose rank falls below it, and no sample keeps every document
+// Only the sampled IDs are held in memory, however large the collection
+async function sampleRootDocuments(databases, databaseId, collectionId, root, seed) {
+    const { sample } = root;
+    const ids = [];
+    const lowest = [];
+    const queries = [...getDocumentQueries(collectionId), ...root.filters];
+    for await (const page of fetchDocumentPages(databases, databaseId, collectionId, { queries })) {
+        for (const doc of page) {
+            if (!sample) {
+                ids.push(doc.$id);
+                continue;
+            }
+            const rank = getSubsetRank(seed, collectionId, doc.$id);
+            if (sample < 1) {
+                if (parseInt(rank.slice(0, 8), 16) / 0xffffffff < sample) {
+                    ids.push(doc.$id);
+                }
+            } else {
+                pushLowestRanked(lowest, { id: doc.$id, rank }, sample);
+            }
+        }
+    }
 
-    let successCount = 0;
-    let errorCount = 0;
-    const errors = [];
+    if (sample >= 1) {
+        return lowest
+            .sort((a, b) => (a.rank < b.rank ? -1 : 1))
+            .map(entry => entry.id);
+    }
+    return ids;
+}
 
-    for (const attribute of attributes) {
-        // Skip relationship attributes that were created by the two-way relationship
-        if (attribute.type === 'relationship' && attribute.side === 'child') {
-            log(`      Skipping child relationship attribute: ${attribute.key}`);
-            continue;
+// Get the related document IDs of a relationship value (IDs or nested documents)
+function getRelatedIds(value) {
+    const values = Array.isArray(value) ? value : [value];
+    return values
+        .map(item => (item && typeof item === 'object' ? item.$id : item))
+        .filter(id => typeof id === 'string' && id.length > 0);
+}
+
+// Select a referentially consistent subset: the sampled root documents plus every
+// document they reference through parent-side relationships, transitively
+// Returns the selected document IDs per collection and references to collections outside the clone
+async function buildSubset(databases, databaseId, collections, spec) {
+    const collectionIds = new Set(collections.map(c => c.$id));
+    const relationships = await fetchRelationshipAttributes(databases, databaseId, collections);
+    const selected = {};
+    const warnings = [];
+    const queue = [];
+
+    const select = (collectionId, ids, root = false) => {
+        if (!selected[collectionId]) {
+            selected[collectionId] = new Set();
+        }
+        const added = ids.filter(id => !selected[collectionId].has(id));
+        added.forEach(id => selected[collectionId].add(id));
+        if (added.length > 0) {
+            queue.push({ collectionId, ids: added, root });
         }
+    };
 
-        const result = await createAttribute(databases, databaseId, collectionId, attribute);
+    for (const [collectionId, root] of Object.entries(spec.roots)) {
+        if (!collectionIds.has(collectionId)) {
+            throw new Error(`Subset root collection "${collectionId}" is not among the collections to clone`);
+        }
+        select(collectionId, await sampleRootDocuments(databases, databaseId, collectionId, root, spec.seed), true);
+    }
 
-        if (result.success) {
-            successCount++;
-            // Wait for attribute to be available before creating the next one
-            await waitForAttribute(databases, databaseId, collectionId, attribute.key);
-        } else {
-            errorCount++;
-            errors.push({ key: attribute.key, error: result.error });
+    // Child sides are written by Appwrite from the parent side, so only parent sides can dangle.
+    // Root documents also follow their child sides to the parent documents that reference them,
+    // otherwise a root on the child side would be cloned without any of its relationships
+    while (queue.length > 0) {
+        const { collectionId, ids, root } = queue.shift();
+        const attributes = (relationships[collectionId] || []).filter(a => root || a.side !== 'child');
+        if (attributes.length === 0) continue;
+
+        for await (const page of fetchDocumentPages(databases, databaseId, collectionId, { ids })) {
+            for (const doc of page) {
+                for (const attr of attributes) {
+                    const relatedIds = getRelatedIds(doc[attr.key]);
+                    if (relatedIds.length === 0) continue;
+
+                    if (!collectionIds.has(attr.relatedCollection)) {
+                        warnings.push({
+                            collection: collectionId,
+                            item: attr.key,
+                            message: `References collection "${attr.relatedCollection}" which is not cloned`
+                        });
+                        continue;
+                    }
+                    select(attr.relatedCollection, relatedIds);
+                }
+            }
         }
     }
 
-    return { successCount, errorCount, errors };
+    // Sorted IDs let the clone checkpoint its progress like a cursor
+    const subset = {};
+    for (const [collectionId, ids] of Object.entries(selected)) {
+        subset[collectionId] = [...ids].sort();
+    }
+    return { subset, warnings: dedupeWarnings(warnings) };
 }
 
-// Create an index in the destination collection
-async function createIndex(databases, databaseId, collectionId, index) {
-    try {
-        await databases.createIndex(
-            databaseId,
-            collectionId,
-            index.key,
-            index.type,
-            index.attributes,
-            index.orders || []
+// Drop repeated warnings (one per collection, item and message)
+function dedupeWarnings(warnings) {
+    const seen = new Set();
+    return warnings.filter(warning => {
+        const key = `${warning.collection}:${warning.item}:${warning.message}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+// Order collection IDs so that related (referenced) collections come before the
+// collections that reference them. Cycles are broken in the original order; the
+// references that cannot be satisfied up front are deferred by the caller.
+function orderCollectionsByDependency(collectionIds, relationships) {
+    const remaining = new Set(collectionIds);
+    const ordered = [];
+
+    // Dependencies: parent-side relationships to other collections in the set
+    const dependsOn = {};
+    for (const collectionId of collectionIds) {
+        dependsOn[collectionId] = new Set(
+            (relationships[collectionId] || [])
+                .filter(attr => attr.side !== 'child')
+                .map(attr => attr.relatedCollection)
+                .filter(related => related !== collectionId && remaining.has(related))
         );
-        return { success: true };
-    } catch (error) {
-        return { success: false, error: error.message };
     }
-}
 
-// Wait for index to be available
-async function waitForIndex(databases, databaseId, collectionId, indexKey, maxRetries = 60) {
-    for (let i = 0; i < maxRetries; i++) {
-        const indexes = await fetchAllIndexes(databases, databaseId, collectionId);
-        const index = indexes.find(idx => idx.key === indexKey);
+    while (remaining.size > 0) {
+        let next = collectionIds.find(id =>
+            remaining.has(id) && [...dependsOn[id]].every(dep => !remaining.has(dep))
+        );
 
-        if (index && index.status === 'available') {
-            return true;
+        // Cycle: take the first remaining collection in original order
+        if (!next) {
+            next = collectionIds.find(id => remaining.has(id));
         }
 
-        // Wait 1 second before retrying
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        ordered.push(next);
+        remaining.delete(next);
     }
 
-    return false;
+    return ordered;
 }
 
-// Create all indexes in the destination collection
-async function createIndexes(databases, databaseId, collectionId, indexes) {
-    let successCount = 0;
-    let errorCount = 0;
-    const errors = [];
+// Resolve a source document ID of a related collection to its destination ID
+// Returns null when the reference cannot be resolved
+function resolveRelatedId(sourceId, relatedCollection, context) {
+    const { idMap, failedIds, idStrategy } = context;
 
-    for (const index of indexes) {
-        const result = await createIndex(databases, databaseId, collectionId, index);
+    if (idMap[relatedCollection] && sourceId in idMap[relatedCollection]) {
+        return idMap[relatedCollection][sourceId];
+    }
 
-        if (result.success) {
-            successCount++;
-            // Wait for index to be available before creating the next one
-            await waitForIndex(databases, databaseId, collectionId, index.key);
-        } else {
-            errorCount++;
-            errors.push({ key: index.key, error: result.error });
-        }
+    if (failedIds[relatedCollection] && failedIds[relatedCollection].has(sourceId)) {
+        return null;
     }
 
-    return { successCount, errorCount, errors };
+    // With preserved IDs the related document may already exist in the destination
+    return idStrategy === 'preserve' ? sourceId : null;
 }
 
-// Clone a collection structure (create collection with attributes and indexes)
-async function cloneCollectionStructure(databases, sourceDbId, destDbId, collection, options = {}) {
-    const { silent = false } = options;
-    const { $id, name, $permissions, documentSecurity, enabled } = collection;
-    const log = silent ? () => {} : console.log;
+// Rewrite relationship values in cleaned document data to destination IDs
+// Child-side values are dropped (the parent side sets them), and values pointing at
+// collections that are still pending are split off so they can be applied later
+function remapRelationshipValues(data, relationshipAttributes, context) {
+    const { pendingCollections } = context;
+    const deferred = {};
+    const unresolved = [];
 
-    log(`\n  Cloning collection structure: ${name} (${$id})`);
+    for (const attr of relationshipAttributes) {
+        if (!(attr.key in data)) continue;
 
-    let attrResult = { successCount: 0, errorCount: 0, errors: [] };
-    let idxResult = { successCount: 0, errorCount: 0, errors: [] };
+        if (attr.side === 'child') {
+            delete data[attr.key];
+            continue;
+        }
 
-    try {
-        // Create the collection in destination database
-        await databases.createCollection(
-            destDbId,
-            $id, // Use the same collection ID
-            name,
-            $permissions,
-            documentSecurity,
-            enabled
-        );
-        log(`    Collection created successfully`);
+        const value = data[attr.key];
+        if (value === null || value === undefined || (Array.isArray(value) && value.length === 0)) {
+            continue;
+        }
 
-        // Fetch and create attributes
-        log(`    Fetching attributes from source...`);
-        const attributes = await fetchAllAttributes(databases, sourceDbId, $id);
+        if (pendingCollections.has(attr.relatedCollection)) {
+            deferred[attr.key] = value;
+            delete data[attr.key];
+            continue;
+        }
 
-        if (attributes.length > 0) {
-            log(`    Creating ${attributes.length} attributes...`);
-            attrResult = await createAttributes(databases, destDbId, $id, attributes, { silent });
-            log(`    Attributes: ${attrResult.successCount} created, ${attrResult.errorCount} failed`);
+        const { value: resolved, missing } = resolveRelationshipValue(value, attr.relatedCollection, context);
+        data[attr.key] = resolved;
+        if (missing.length > 0) {
+            unresolved.push({ attribute: attr.key, references: missing });
+        }
+    }
 
-            if (attrResult.errors.length > 0) {
-                for (const err of attrResult.errors) {
-                    log(`      - ${err.key}: ${err.error}`);
-                }
-            }
-        } else {
-            log(`    No attributes to create`);
+    return { data, deferred, unresolved };
+}
+
+// Resolve a single or multi-valued relationship value
+function resolveRelationshipValue(value, relatedCollection, context) {
+    const missing = [];
+
+    const resolveOne = (sourceId) => {
+        const destId = resolveRelatedId(sourceId, relatedCollection, context);
+        if (destId === null) {
+            missing.push(sourceId);
         }
+        return destId;
+    };
+
+    if (Array.isArray(value)) {
+        const resolved = value.map(resolveOne).filter(id => id !== null);
+        return { value: resolved, missing };
+    }
 
-        // Fetch and create indexes
-        log(`    Fetching indexes from source...`);
-        const indexes = await fetchAllIndexes(databases, sourceDbId, $id);
+    return { value: resolveOne(value), missing };
+}
 
-        if (indexes.length > 0) {
-            log(`    Creating ${indexes.length} indexes...`);
-            idxResult = await createIndexes(databases, destDbId, $id, indexes);
-            log(`    Indexes: ${idxResult.successCount} created, ${idxResult.errorCount} failed`);
+// Record a document error grouped by collection
+function recordDocumentError(results, collectionName, documentId, message) {
+    let collErrors = results.documents.errors.find(e => e.collection === collectionName);
+    if (!collErrors) {
+        collErrors = { collection: collectionName, errors: [] };
+        results.documents.errors.push(collErrors);
+    }
+    collErrors.errors.push({ documentId, error: message });
+}
 
-            if (idxResult.errors.length > 0) {
-                for (const err of idxResult.errors) {
-                    log(`      - ${err.key}: ${err.error}`);
-                }
+// Record unresolved relationship references for a document
+function recordUnresolvedReferences(results, collectionName, documentId, unresolved) {
+    for (const { attribute, references } of unresolved) {
+        results.documents.unresolved.push({ collection: collectionName, documentId, attribute, references });
+    }
+}
+
+// Insert a single source document into the destination collection
+// Relationship values are remapped first; references to pending collections are deferred
+async function insertClonedDocument(context, collection, relationAttributes, document) {
+    const { destDatabases, destDbId, idStrategy, keepPermissions, idMap, failedIds, journal, resume, results, relationContext } = context;
+    const { $id: collectionId, name: collectionName } = collection;
+
+    const { data: cleanedData, deferred, unresolved } = remapRelationshipValues(
+        cleanDocumentData(document),
+        relationAttributes,
+        relationContext
+    );
+    // Unique IDs reserved by the previous run are as stable as preserved or deterministic ones
+    const stableId = idStrategy !== 'unique' || Boolean(journal?.reservedIds[collectionId]?.[document.$id]);
+    const documentId = reserveDocumentId(journal, idStrategy, collectionId, document.$id);
+
+    try {
+        try {
+            await destDatabases.createDocument(
+                destDbId,
+                collectionId,
+                documentId,
+                cleanedData,
+                keepPermissions ? document.$permissions : undefined
+            );
+        } catch (error) {
+            // A resumed run may retry the document that was in flight when the
+            // previous run stopped; with stable IDs it already exists
+            if (!(resume && error.code === 409 && stableId)) {
+                throw error;
             }
-        } else {
-            log(`    No indexes to create`);
         }
-
-        // Return failure if any attributes failed - this is critical for data integrity
-        if (attrResult.errorCount > 0) {
-            return {
-                success: false,
-                error: `${attrResult.errorCount} attribute(s) failed to create`,
-                attributeErrors: attrResult.errors,
-                indexErrors: idxResult.errors
-            };
+        if (idStrategy !== 'preserve') {
+            recordIdMapping(idMap, collectionId, document.$id, documentId);
+            if (journal) {
+                journal.pendingIds.push({ collectionId, sourceId: document.$id, destId: documentId });
+            }
         }
+        results.documents.success++;
+        tallyDocument(results, collectionName, 'created');
 
-        return { success: true, attributeErrors: [], indexErrors: idxResult.errors };
+        if (unresolved.length > 0) {
+            recordUnresolvedReferences(results, collectionName, document.$id, unresolved);
+        }
+        if (Object.keys(deferred).length > 0) {
+            const update = { collectionId, collectionName, sourceId: document.$id, documentId, deferred };
+            context.deferredUpdates.push(update);
+            if (journal) {
+                journal.pendingDeferredUpdates.push(update);
+            }
+        }
     } catch (error) {
-        log(`    Failed to create collection: ${error.message}`);
-        return { success: false, error: error.message, attributeErrors: attrResult.errors, indexErrors: idxResult.errors };
+        results.documents.failed++;
+        tallyDocument(results, collectionName, 'failed');
+        if (!failedIds[collectionId]) {
+            failedIds[collectionId] = new Set();
+        }
+        failedIds[collectionId].add(document.$id);
+        recordDocumentError(results, collectionName, document.$id, error.message);
     }
 }
 
-// Get unique identifier field for a collection (used for missing record detection)
-function getUniqueIdentifierField(collectionId) {
-    // Define which field uniquely identifies records in each collection
-    // Add more mappings as needed for your collections
-    const identifierMap = {
-        'packaging_records': 'waybill_number',
-        'packaging_items': 'packaging_record_id', // Combined with product_barcode and scanned_at
-    };
-    return identifierMap[collectionId] || null;
-}
+// Update a source document's matching destination document if its compared fields changed
+async function upsertClonedDocument(context, collection, relationAttributes, document, existing, compareKeys) {
+    const { destDatabases, destDbId, idStrategy, idMap, failedIds, journal, results, relationContext } = context;
+    const { $id: collectionId, name: collectionName } = collection;
 
-// Build a set of existing record identifiers from destination for comparison
-async function buildExistingRecordSet(databases, destDbId, collectionId) {
-    const existingDocs = await fetchAllDocuments(databases, destDbId, collectionId);
-    const identifierField = getUniqueIdentifierField(collectionId);
+    // Later documents must reference the matched destination document
+    if (idStrategy !== 'preserve' || existing.id !== document.$id) {
+        recordIdMapping(idMap, collectionId, document.$id, existing.id);
+        if (journal) {
+            journal.pendingIds.push({ collectionId, sourceId: document.$id, destId: existing.id });
+        }
+    }
 
-    const existingSet = new Set();
-    for (const doc of existingDocs) {
-        if (identifierField && doc[identifierField]) {
-            // Use the unique identifier field if available
-            existingSet.add(doc[identifierField]);
+    const { data, deferred, unresolved } = remapRelationshipValues(
+        cleanDocumentData(document),
+        relationAttributes,
+        relationContext
+    );
+
+    try {
+        if (fingerprintDocument(data, compareKeys) === existing.fingerprint) {
+            results.documents.unchanged++;
+            tallyDocument(results, collectionName, 'unchanged');
         } else {
-            // Fall back to using $id (source document ID stored in a field, if available)
-            // Or create a hash of key fields
-            const key = JSON.stringify(cleanDocumentData(doc));
-            existingSet.add(key);
+            await destDatabases.updateDocument(destDbId, collectionId, existing.id, data);
+            results.documents.updated++;
+            tallyDocument(results, collectionName, 'updated');
+        }
+
+        if (unresolved.length > 0) {
+            recordUnresolvedReferences(results, collectionName, document.$id, unresolved);
+        }
+        if (Object.keys(deferred).length > 0) {
+            const update = { collectionId, collectionName, sourceId: document.$id, documentId: existing.id, deferred };
+            context.deferredUpdates.push(update);
+            if (journal) {
+                journal.pendingDeferredUpdates.push(update);
+            }
+        }
+    } catch (error) {
+        results.documents.failed++;
+        tallyDocument(results, collectionName, 'failed');
+        if (!failedIds[collectionId]) {
+            failedIds[collectionId] = new Set();
         }
+        failedIds[collectionId].add(document.$id);
+        recordDocumentError(results, collectionName, document.$id, `Update failed: ${error.message}`);
     }
-    return { existingSet, identifierField };
 }
 
-// Check if a document already exists in destination
-function isDocumentMissing(document, existingSet, identifierField) {
-    if (identifierField && document[identifierField]) {
-        return !existingSet.has(document[identifierField]);
-    } else {
-        const key = JSON.stringify(cleanDocumentData(document));
-        return !existingSet.has(key);
+// Count a document outcome (created, updated, unchanged, deleted, failed) for its collection
+function tallyDocument(results, collectionName, outcome) {
+    if (!results.documents.byCollection[collectionName]) {
+        results.documents.byCollection[collectionName] = { created: 0, updated: 0, unchanged: 0, deleted: 0, failed: 0 };
     }
+    results.documents.byCollection[collectionName][outcome]++;
 }
 
 // Clone entire database (structure + data)
-async function cloneDatabase(databases, sourceDbId, destDbId, options = {}) {
-    const { cloneStructure = true, cloneData = true, missingOnly = false } = options;
+async function cloneDatabase(sourceDatabases, destDatabases, sourceDbId, destDbId, options = {}) {
+    const {
+        cloneStructure = true,
+        cloneData = true,
+        missingOnly = false,
+        upsert = false,
+        mirror = false,
+        incremental = false,
+        subset: subsetSpec = null,
+        maxDeletePercent = config.mirrorMaxDeletePercent,
+        idStrategy = 'preserve',
+        // Write each document's $permissions too (restores); otherwise the collection permissions apply
+        keepPermissions = false,
+        journal = null,
+        resume = false,
+        spool = false,
+        concurrency = config.concurrency,
+        limiter = null,
+        matchKeys = {}
+    } = options;
 
     const results = {
         collections: { success: 0, failed: 0, errors: [], attributeErrors: [] },
-        documents: { success: 0, failed: 0, skipped: 0, errors: [] }
+        documents: {
+            success: 0,
+            failed: 0,
+            skipped: 0,
+            updated: 0,
+            unchanged: 0,
+            deleted: 0,
+            filteredOut: 0,
+            resumed: 0,
+            errors: [],
+            unresolved: [],
+            byCollection: {}
+        },
+        idMapFile: null,
+        rateLimit: { throttled: 0, concurrency }
     };
 
-    // Fetch all collections from source
+    // Source -> destination document IDs per collection, used to remap relationships
+    // (a resumed run starts from the mappings recorded by the previous run). Preserved
+    // IDs map to themselves and are not tracked, so memory stays flat for full clones
+    const idMap = resume && idStrategy !== 'preserve' ? loadJournalIdMap() : {};
+    // Source document IDs that failed to insert, per collection
+    const failedIds = {};
+
+    // Fetch the selected collections from source
     console.log('\nFetching collections from source database...');
-    const collections = await fetchAllCollections(databases, sourceDbId);
+    const collections = filterCollections(await fetchAllCollections(sourceDatabases, sourceDbId));
 
     if (collections.length === 0) {
         console.log('No collections found in source database.');
@@ -808,161 +5061,413 @@ async function cloneDatabase(databases, sourceDbId, destDbId, options = {}) {
     if (cloneStructure) {
         console.log('\n' + styleText('cyan', '--- Cloning Collection Structures ---'));
 
-        const structureBar = createProgressBar(
-            '  Structures |{bar}| {percentage}% | {value}/{total} | {collection}',
-            collections.length
+        // Unselected collections are kept in the destination, so relationships may target them
+        const existingCollections = (await fetchAllCollections(destDatabases, destDbId)).map(c => c.$id);
+        await cloneDatabaseStructure(
+            sourceDatabases, destDatabases, sourceDbId, destDbId, collections, results, journal, { existingCollections }
         );
 
-        for (const collection of collections) {
-            structureBar.update({ collection: collection.name.substring(0, 20).padEnd(20) });
-            const result = await cloneCollectionStructure(databases, sourceDbId, destDbId, collection, { silent: true });
-            if (result.success) {
-                results.collections.success++;
+        console.log(`  Completed: ${results.collections.success} success, ${results.collections.failed} failed`);
+    }
+
+    // Clone documents
+    // Mirrors update existing documents like upserts, then delete the unmatched ones;
+    // incremental syncs upsert only the documents changed since their watermark
+    const updateExisting = upsert || mirror || incremental;
+    const syncState = incremental ? loadSyncState() : null;
+    const watermarks = incremental ? getWatermarks(syncState, sourceDbId, destDbId) : {};
+
+    if (cloneData || missingOnly || updateExisting) {
+        const heading = (missingOnly && '--- Adding Missing Documents ---') ||
+            (incremental && '--- Syncing Changed Documents ---') ||
+            (mirror && '--- Mirroring Documents ---') ||
+            (upsert && '--- Upserting Documents ---') ||
+            '--- Cloning Documents ---';
+        console.log('\n' + styleText('cyan', heading));
+
+        // Insert related collections before the collections that reference them; transformed
+        // documents carry the relationships of the transformed schema
+        console.log('\n  Resolving relationship dependencies...');
+        const relationships = await fetchRelationshipAttributes(sourceDatabases, sourceDbId, collections, config.hooks);
+        const insertOrder = orderCollectionsByDependency(collections.map(c => c.$id), relationships);
+        const orderedCollections = insertOrder.map(id => collections.find(c => c.$id === id));
+
+        // Subsets only copy the sampled documents and everything they reference
+        let subset = null;
+        if (subsetSpec) {
+            console.log('\n  Selecting subset...');
+            const selection = await buildSubset(sourceDatabases, sourceDbId, collections, subsetSpec);
+            subset = selection.subset;
+            for (const warning of selection.warnings) {
+                console.log(styleText('yellow', `    ${warning.collection}.${warning.item}: ${warning.message}`));
+            }
+        }
+
+        // Step 1: Count source documents, or spool them to disk when requested
+        console.log(spool
+            ? `\n  Step 1: Spooling source documents to ${SPOOL_DIR}...`
+            : '\n  Step 1: Counting source documents...');
+        let docsToProcess = 0;
+        const spoolFiles = {};
+
+        for (const collection of orderedCollections) {
+            const checkpoint = getDocumentCheckpoint(journal, collection.$id);
+            // Deletions depend on every source document being seen, so an interrupted
+            // mirror restarts unfinished collections from the beginning
+            if (mirror && checkpoint && !checkpoint.completed) {
+                checkpoint.processed = 0;
+                checkpoint.lastDocumentId = null;
+            }
+            const processed = checkpoint ? checkpoint.processed : 0;
+            results.documents.resumed += processed;
+
+            if (checkpoint && checkpoint.completed) {
+                console.log(`    ${collection.name}: already processed (resumed)`);
+                continue;
+            }
+
+            const after = checkpoint ? checkpoint.lastDocumentId : null;
+            const queries = [...getDocumentQueries(collection.$id), ...getWatermarkQueries(watermarks[collection.$id])];
+            const ids = subset ? (subset[collection.$id] || []) : null;
+            let selected;
+            if (spool) {
+                const { filepath, count } = await spoolCollection(sourceDatabases, sourceDbId, collection.$id, { after, queries, ids });
+                spoolFiles[collection.$id] = filepath;
+                docsToProcess += count;
+                selected = count + processed;
+                console.log(`    ${collection.name}: ${count} documents`);
             } else {
-                results.collections.failed++;
-                results.collections.errors.push({
-                    collection: collection.name,
-                    error: result.error
-                });
-                // Track attribute errors separately for detailed reporting
-                if (result.attributeErrors && result.attributeErrors.length > 0) {
-                    results.collections.attributeErrors.push({
-                        collection: collection.name,
-                        errors: result.attributeErrors
-                    });
+                selected = ids ? ids.length : await countDocuments(sourceDatabases, sourceDbId, collection.$id, queries);
+                const remaining = Math.max(selected - processed, 0);
+                docsToProcess += remaining;
+                console.log(`    ${collection.name}: ${remaining} documents`);
+            }
+
+            // Incremental runs select changed documents anyway, so only report the configured filter
+            if (!incremental && !subset) {
+                const filteredOut = await countFilteredOut(sourceDatabases, sourceDbId, collection.$id, selected);
+                if (filteredOut > 0) {
+                    results.documents.filteredOut += filteredOut;
+                    console.log(`      (${filteredOut} filtered out)`);
                 }
             }
-            structureBar.increment();
         }
 
-        structureBar.stop();
-        console.log(`  Completed: ${results.collections.success} success, ${results.collections.failed} failed`);
-    }
+        console.log(`  Total documents: ${docsToProcess}`);
+        if (results.documents.resumed > 0) {
+            console.log(`  Documents already processed (resumed): ${results.documents.resumed}`);
+        }
+
+        // Step 2: Stream documents page by page and insert them
+        console.log(spool
+            ? '\n  Step 2: Reading spooled documents and inserting...'
+            : '\n  Step 2: Streaming documents from source and inserting...');
+
+        const pendingCollections = new Set(insertOrder);
+        const relationContext = { idMap, failedIds, idStrategy, pendingCollections };
+        const context = {
+            destDatabases,
+            destDbId,
+            idStrategy,
+            keepPermissions,
+            idMap,
+            failedIds,
+            journal,
+            resume,
+            results,
+            relationContext,
+            deferredUpdates: journal ? journal.deferredUpdates : [],
+            // Shared with the retry layer of destDatabases, which throttles it on 429 responses
+            limiter: limiter || createRateLimiter(concurrency)
+        };
+        const pool = createWorkerPool(context.limiter);
+
+        const docBar = createProgressBar(
+            '  Documents  |{bar}| {percentage}% | {value}/{total} | {collection}',
+            docsToProcess
+        );
+
+        for (const collection of orderedCollections) {
+            const collectionId = collection.$id;
+            const checkpoint = getDocumentCheckpoint(journal, collectionId);
+
+            if (checkpoint && checkpoint.completed) {
+                pendingCollections.delete(collectionId);
+                continue;
+            }
+
+            docBar.update({ collection: collection.name.substring(0, 20).padEnd(20) });
+
+            // Build set of existing records for this collection
+            const { existingSet, fields: matchFields } = missingOnly
+                ? await buildExistingRecordSet(destDatabases, destDbId, collectionId, matchKeys)
+                : {};
+            // Upserts compare every field except child relationships (set by the parent side)
+            // and relationships to pending collections (applied by the deferred updates)
+            let upsertFields = null;
+            let existingIndex = null;
+            let duplicates = [];
+            let compareKeys = [];
+            if (updateExisting) {
+                upsertFields = matchKeys[collectionId] || getDefaultMatchFields('upsert');
+                compareKeys = (await fetchSourceSchema(sourceDatabases, sourceDbId, collection)).attributes
+                    .filter(a => !(a.type === 'relationship' &&
+                        (a.side === 'child' || pendingCollections.has(a.relatedCollection))))
+                    .map(a => a.key);
+                // Incremental syncs look up each changed document instead of indexing the collection
+                if (!incremental) {
+                    // A mirror only owns the destination documents selected by the same filter
+                    ({ existing: existingIndex, duplicates } = await buildExistingRecordIndex(
+                        destDatabases, destDbId, collectionId, upsertFields, compareKeys,
+                        mirror ? getDocumentQueries(collectionId) : []
+                    ));
+                }
+            }
+            const watermark = watermarks[collectionId] || null;
+            let newest = watermark;
+            const failedBefore = results.documents.failed;
+
+            // With $id in the key, compare against the ID the document would get in the destination
+            const keyFields = matchFields || upsertFields;
+            const matchesOnId = keyFields && keyFields.includes('$id');
+
+            // Masked values are what the destination holds, so they are also what gets matched and compared
+            const maskPlan = config.masking.enabled
+                ? buildMaskPlan(collectionId, await fetchAllAttributes(sourceDatabases, sourceDbId, collectionId))
+                : null;
+
+            const relationAttributes = relationships[collectionId] || [];
+            const readPages = () => (spool
+                ? readSpoolPages(spoolFiles[collectionId])
+                : fetchDocumentPages(sourceDatabases, sourceDbId, collectionId, {
+                    after: checkpoint ? checkpoint.lastDocumentId : null,
+                    queries: [...getDocumentQueries(collectionId), ...getWatermarkQueries(watermark)],
+                    ids: subset ? (subset[collectionId] || []) : null
+                }));
+
+            // Key of a document in the existing record index
+            const getMatchKey = (document) => {
+                const matchId = matchesOnId ? generateDocumentId(idStrategy, collectionId, document.$id) : document.$id;
+                return buildMatchKey(document, upsertFields, matchId) ??
+                    `content:${fingerprintDocument(cleanDocumentData(document), compareKeys)}`;
+            };
+            // A mirror keeps the destination copy of a source document that failed its hooks or was
+            // filtered out by them; it still exists in the source, so it is matched without the hooks
+            const keepExistingCopy = (maskedDocument) => {
+                const existing = existingIndex.get(getMatchKey(maskedDocument));
+                if (existing) {
+                    existing.matched = true;
+                }
+            };
+
+            // A mirror aborts before creating or updating anything when too much would be deleted
+            if (mirror) {
+                await checkMirrorThreshold(collection, readPages(), existingIndex, duplicates, async (sourceDocument) => {
+                    const masked = maskDocument(sourceDocument, maskPlan);
+                    let document;
+                    try {
+                        document = await applyDocumentHooks(collectionId, masked);
+                    } catch {
+                        return getMatchKey(masked);
+                    }
+                    return getMatchKey(document || masked);
+                }, maxDeletePercent);
+            }
+
+            // Checkpoint the cursor, flushing the journal once per batch
+            const cursor = createCursorTracker(documentId => {
+                if (!checkpoint) return;
+                checkpoint.lastDocumentId = documentId;
+                checkpoint.processed++;
+                if (checkpoint.processed % config.batchSize === 0) {
+                    saveJournal(journal);
+                }
+            });
+
+            const finishDocument = (entry) => {
+                cursor.complete(entry);
+                // Counts are taken up front; grow the total if documents were added since
+                if (docBar.value >= docBar.getTotal()) {
+                    docBar.setTotal(docBar.value + 1);
+                }
+                docBar.increment();
+            };
+
+            for await (const page of readPages()) {
+                for (const sourceDocument of page) {
+                    const entry = cursor.add(sourceDocument.$id);
+
+                    const masked = maskDocument(sourceDocument, maskPlan);
+                    let document;
+                    try {
+                        document = await applyDocumentHooks(collectionId, masked);
+                    } catch (error) {
+                        if (mirror) {
+                            keepExistingCopy(masked);
+                        }
+                        results.documents.failed++;
+                        tallyDocument(results, collection.name, 'failed');
+                        if (!failedIds[collectionId]) {
+                            failedIds[collectionId] = new Set();
+                        }
+                        failedIds[collectionId].add(sourceDocument.$id);
+                        recordDocumentError(results, collection.name, sourceDocument.$id, error.message);
+                        finishDocument(entry);
+                        continue;
+                    }
+                    if (!document) {
+                        if (mirror) {
+                            keepExistingCopy(masked);
+                        }
+                        results.documents.filteredOut++;
+                        finishDocument(entry);
+                        continue;
+                    }
 
-    // Clone documents
-    if (cloneData || missingOnly) {
-        console.log('\n' + styleText('cyan', missingOnly ? '--- Adding Missing Documents ---' : '--- Cloning Documents ---'));
-
-        // Step 1: Fetch all documents from source and save to JSON cache
-        console.log('\n  Step 1: Fetching all documents from source...');
-        let totalDocs = 0;
-        const collectionDocs = [];
-
-        for (const collection of collections) {
-            const docs = await fetchAllDocuments(databases, sourceDbId, collection.$id);
-            totalDocs += docs.length;
-            collectionDocs.push({
-                collectionId: collection.$id,
-                collectionName: collection.name,
-                documents: docs
-            });
-            console.log(`    ${collection.name}: ${docs.length} documents`);
-        }
+                    const matchId = matchesOnId ? generateDocumentId(idStrategy, collectionId, document.$id) : document.$id;
+                    if (missingOnly && !isDocumentMissing(document, existingSet, matchFields, matchId)) {
+                        results.documents.skipped++;
+                        finishDocument(entry);
+                        continue;
+                    }
 
-        console.log(`  Total documents fetched: ${totalDocs}`);
+                    if (incremental) {
+                        // Documents sharing the watermark timestamp may already have been applied
+                        if (!isAfterWatermark(document, watermark)) {
+                            finishDocument(entry);
+                            continue;
+                        }
+                        if (isAfterWatermark(document, newest)) {
+                            newest = { updatedAt: document.$updatedAt, id: document.$id };
+                        }
 
-        // Write to JSON cache file
-        const cacheData = {
-            sourceDbId,
-            destDbId,
-            fetchedAt: new Date().toISOString(),
-            collections: collectionDocs.map(cd => ({
-                collectionId: cd.collectionId,
-                collectionName: cd.collectionName,
-                documentCount: cd.documents.length,
-                documents: cd.documents
-            }))
-        };
-        writeCacheFile(cacheData);
+                        await pool.submit(async () => {
+                            let existing;
+                            try {
+                                existing = await findExistingDocument(
+                                    destDatabases, destDbId, collectionId, upsertFields, document, matchId, compareKeys
+                                );
+                            } catch (error) {
+                                results.documents.failed++;
+                                tallyDocument(results, collection.name, 'failed');
+                                recordDocumentError(results, collection.name, document.$id, `Lookup failed: ${error.message}`);
+                                finishDocument(entry);
+                                return;
+                            }
+
+                            if (existing) {
+                                await upsertClonedDocument(context, collection, relationAttributes, document, existing, compareKeys);
+                            } else {
+                                await insertClonedDocument(context, collection, relationAttributes, document);
+                            }
+                            finishDocument(entry);
+                        });
+                        continue;
+                    }
 
-        // Step 2: Read from JSON cache and insert documents
-        console.log('\n  Step 2: Reading from cache and inserting documents...');
-        const cachedData = readCacheFile();
+                    if (updateExisting) {
+                        const existing = existingIndex.get(getMatchKey(document));
+                        if (existing) {
+                            existing.matched = true;
+                            await pool.submit(async () => {
+                                await upsertClonedDocument(context, collection, relationAttributes, document, existing, compareKeys);
+                                finishDocument(entry);
+                            });
+                            continue;
+                        }
+                    }
 
-        // Calculate total documents to insert
-        let docsToProcess = 0;
-        const processQueue = [];
-
-        for (const collData of cachedData.collections) {
-            if (missingOnly) {
-                // Build set of existing records for this collection
-                console.log(`    Checking existing records in ${collData.collectionName}...`);
-                const { existingSet, identifierField } = await buildExistingRecordSet(
-                    databases, destDbId, collData.collectionId
-                );
+                    await pool.submit(async () => {
+                        await insertClonedDocument(context, collection, relationAttributes, document);
+                        finishDocument(entry);
+                    });
+                }
+            }
 
-                const missingDocs = collData.documents.filter(doc =>
-                    isDocumentMissing(doc, existingSet, identifierField)
-                );
+            // Related collections must be complete before the next collection starts
+            await pool.drain();
 
-                console.log(`    ${collData.collectionName}: ${missingDocs.length} missing of ${collData.documents.length} total`);
-                docsToProcess += missingDocs.length;
-                results.documents.skipped += (collData.documents.length - missingDocs.length);
-                processQueue.push({
-                    collectionId: collData.collectionId,
-                    collectionName: collData.collectionName,
-                    documents: missingDocs
-                });
-            } else {
-                docsToProcess += collData.documents.length;
-                processQueue.push({
-                    collectionId: collData.collectionId,
-                    collectionName: collData.collectionName,
-                    documents: collData.documents
-                });
+            if (mirror) {
+                await deleteUnmatchedDocuments(context, collection, existingIndex, duplicates, maxDeletePercent);
             }
-        }
 
-        console.log(`\n  Documents to insert: ${docsToProcess}`);
-        if (missingOnly) {
-            console.log(`  Documents skipped (already exist): ${results.documents.skipped}`);
+            // Advance the watermark only when every change was applied, so failures are retried next run
+            if (incremental && newest !== watermark && results.documents.failed === failedBefore) {
+                watermarks[collectionId] = { ...newest, syncedAt: new Date().toISOString() };
+                saveSyncState(syncState);
+            }
+
+            pendingCollections.delete(collectionId);
+            if (checkpoint) checkpoint.completed = true;
+            saveJournal(journal);
         }
 
-        if (docsToProcess > 0) {
-            const docBar = createProgressBar(
-                '  Documents  |{bar}| {percentage}% | {value}/{total} | {collection}',
-                docsToProcess
-            );
+        docBar.setTotal(docBar.value);
+        docBar.stop();
 
-            for (const { collectionId, collectionName, documents } of processQueue) {
-                if (documents.length === 0) continue;
+        // Apply relationship values that referenced collections inserted later (cycles, self-references)
+        const { deferredUpdates } = context;
+        if (deferredUpdates.length > 0) {
+            const relationBar = createProgressBar(
+                '  Relations  |{bar}| {percentage}% | {value}/{total} | {collection}',
+                deferredUpdates.length
+            );
 
-                docBar.update({ collection: collectionName.substring(0, 20).padEnd(20) });
+            for (const { collectionId, collectionName, sourceId, documentId, deferred } of deferredUpdates) {
+                relationBar.update({ collection: collectionName.substring(0, 20).padEnd(20) });
 
-                for (const document of documents) {
-                    const cleanedData = cleanDocumentData(document);
+                const { data, unresolved } = remapRelationshipValues(
+                    { ...deferred },
+                    relationships[collectionId] || [],
+                    relationContext
+                );
 
+                await pool.submit(async () => {
                     try {
-                        await databases.createDocument(
-                            destDbId,
-                            collectionId,
-                            ID.unique(),
-                            cleanedData
-                        );
-                        results.documents.success++;
+                        await destDatabases.updateDocument(destDbId, collectionId, documentId, data);
                     } catch (error) {
-                        results.documents.failed++;
-                        if (!results.documents.errors.find(e => e.collection === collectionName)) {
-                            results.documents.errors.push({ collection: collectionName, errors: [] });
-                        }
-                        const collErrors = results.documents.errors.find(e => e.collection === collectionName);
-                        collErrors.errors.push({ documentId: document.$id, error: error.message });
+                        recordDocumentError(results, collectionName, sourceId, `Relationship update failed: ${error.message}`);
                     }
-
-                    docBar.increment();
-                }
+                    if (unresolved.length > 0) {
+                        recordUnresolvedReferences(results, collectionName, sourceId, unresolved);
+                    }
+                    relationBar.increment();
+                });
             }
 
-            docBar.stop();
+            await pool.drain();
+            relationBar.stop();
+        }
+
+        results.rateLimit = { throttled: context.limiter.throttled, concurrency: context.limiter.limit };
+        if (results.rateLimit.throttled > 0) {
+            console.log(`  Rate limited ${results.rateLimit.throttled} times (concurrency now ${results.rateLimit.concurrency} of ${concurrency})`);
+        }
+
+        // Write old -> new ID mapping when IDs were regenerated
+        if (idStrategy !== 'preserve' && Object.keys(idMap).length > 0) {
+            results.idMapFile = writeIdMapFile(idMap, sourceDbId, destDbId, idStrategy);
+            console.log(`  ID mapping written to: ${results.idMapFile}`);
         }
 
         console.log(`  Completed: ${results.documents.success} success, ${results.documents.failed} failed`);
         if (missingOnly) {
             console.log(`  Skipped (already exist): ${results.documents.skipped}`);
         }
+        if (updateExisting) {
+            console.log(`  Updated: ${results.documents.updated}, unchanged: ${results.documents.unchanged}`);
+        }
+        if (mirror) {
+            console.log(`  Deleted (removed from source): ${results.documents.deleted}`);
+        }
+        if (results.documents.unresolved.length > 0) {
+            console.log(`  Unresolved relationship references: ${results.documents.unresolved.length}`);
+        }
 
-        // Step 3: Delete cache file
-        deleteCacheFile();
+        // Step 3: Delete spooled documents
+        if (spool) {
+            deleteSpoolDir();
+        }
     }
 
     return results;
@@ -994,21 +5499,43 @@ async function fetchAllCollections(databases, databaseId) {
     return collections;
 }
 
-// Fetch all documents from a collection with pagination
-async function fetchAllDocuments(databases, databaseId, collectionId) {
-    const documents = [];
-    let lastId = null;
+// Fetch documents from a collection page by page using the cursor
+// Starts after the given document ID, so interrupted runs can continue from a checkpoint
+// With a sorted list of ids, only those documents are fetched (in chunks of up to 100)
+async function* fetchDocumentPages(databases, databaseId, collectionId, options = {}) {
+    const { after = null, queries: filters = [], ids = null } = options;
+
+    if (ids) {
+        const remaining = after ? ids.filter(id => id > after) : ids;
+        const chunkSize = Math.min(config.batchSize, 100);
+        for (let i = 0; i < remaining.length; i += chunkSize) {
+            const chunk = remaining.slice(i, i + chunkSize);
+            const response = await databases.listDocuments(databaseId, collectionId, [
+                Query.equal('$id', chunk),
+                Query.limit(chunk.length)
+            ]);
+            if (response.documents.length > 0) {
+                // Same order as the ids, so the checkpoint cursor stays valid
+                yield response.documents.sort((a, b) => (a.$id < b.$id ? -1 : 1));
+            }
+        }
+        return;
+    }
+
+    let lastId = after;
     let hasMore = true;
 
     while (hasMore) {
-        const queries = [Query.limit(config.batchSize)];
+        const queries = [...filters, Query.limit(config.batchSize)];
 
         if (lastId) {
             queries.push(Query.cursorAfter(lastId));
         }
 
         const response = await databases.listDocuments(databaseId, collectionId, queries);
-        documents.push(...response.documents);
+        if (response.documents.length > 0) {
+            yield response.documents;
+        }
 
         if (response.documents.length < config.batchSize) {
             hasMore = false;
@@ -1016,8 +5543,30 @@ async function fetchAllDocuments(databases, databaseId, collectionId) {
             lastId = response.documents[response.documents.length - 1].$id;
         }
     }
+}
+
+// Count the documents in a collection
+// Appwrite stops counting totals at DOCUMENT_TOTAL_LIMIT, so larger collections are counted by paging their IDs
+async function countDocuments(databases, databaseId, collectionId, queries = []) {
+    const response = await databases.listDocuments(databaseId, collectionId, [...queries, Query.limit(1)]);
+    if (response.total < DOCUMENT_TOTAL_LIMIT) {
+        return response.total;
+    }
 
-    return documents;
+    let count = 0;
+    let lastId = null;
+    while (true) {
+        const pageQueries = [...queries, Query.select(['$id']), Query.limit(DOCUMENT_COUNT_PAGE_SIZE)];
+        if (lastId) {
+            pageQueries.push(Query.cursorAfter(lastId));
+        }
+        const { documents } = await databases.listDocuments(databaseId, collectionId, pageQueries);
+        count += documents.length;
+        if (documents.length < DOCUMENT_COUNT_PAGE_SIZE) {
+            return count;
+        }
+        lastId = documents[documents.length - 1].$id;
+    }
 }
 
 // Check if an object is a related document (has Appwrite system fields)
@@ -1029,6 +5578,250 @@ function isRelatedDocument(obj) {
            '$collectionId' in obj;
 }
 
+// Build the masking plan of a collection: the strategy for each attribute to mask
+// Configured rules win; email, ip and url attributes are masked by default
+function buildMaskPlan(collectionId, attributes, masking = config.masking) {
+    if (!masking.enabled) {
+        return null;
+    }
+
+    const rules = masking.rules[collectionId] || {};
+    const plan = {};
+    for (const attribute of attributes) {
+        if (attribute.type === 'relationship') continue;
+        const strategy = rules[attribute.key] || DEFAULT_MASK_STRATEGIES[getAttributeType(attribute)];
+        if (strategy && strategy !== 'keep') {
+            plan[attribute.key] = { strategy, attribute };
+        }
+    }
+    return Object.keys(plan).length > 0 ? plan : null;
+}
+
+// Deterministic digest of a value: equal inputs mask to equal outputs, so joins still work
+function maskDigest(value, seed) {
+    return createHmac('sha256', seed).update(typeof value === 'string' ? value : JSON.stringify(value)).digest('hex');
+}
+
+// Replace letters and digits with pseudo-random ones, keeping case, length and punctuation
+function maskPreservingFormat(value, digest) {
+    let i = 0;
+    const next = () => {
+        const offset = (i++ * 2) % (digest.length - 2);
+        return parseInt(digest.slice(offset, offset + 2), 16);
+    };
+    return value.replace(/[a-z]/g, () => String.fromCharCode(97 + next() % 26))
+        .replace(/[A-Z]/g, () => String.fromCharCode(65 + next() % 26))
+        .replace(/[0-9]/g, () => String(next() % 10));
+}
+
+// Range of fake numbers: up to a million from 0, or from the nearest bound when 0 is out of range
+// (Appwrite's default bounds are about ±9.2e18, which would give absurd values)
+function getFakeRange(attribute) {
+    const min = attribute.min ?? 0;
+    const max = attribute.max ?? Number.MAX_SAFE_INTEGER;
+    const low = Math.min(Math.max(0, min), max);
+    return { low, range: Math.min(max - low, 1000000) };
+}
+
+// Hash or redact a typed string (email, ip, url, datetime, enum) into a value Appwrite accepts
+function maskTypedString(value, strategy, attribute, digest) {
+    const redact = strategy === 'redact';
+    switch (getAttributeType(attribute)) {
+        case 'email':
+            return redact ? 'redacted@example.com' : `${digest.slice(0, 32)}@example.com`;
+        case 'url':
+            return redact ? 'https://example.com/redacted' : `https://example.com/${digest}`;
+        case 'ip':
+            return redact ? '0.0.0.0' : fakeValue(value, attribute, digest);
+        case 'datetime':
+            return redact ? '1970-01-01T00:00:00.000+00:00' : fakeValue(value, attribute, digest);
+        case 'enum':
+            return redact ? (attribute.elements?.[0] ?? value) : fakeValue(value, attribute, digest);
+        default:
+            return null;
+    }
+}
+
+// Redact a number or boolean into a fixed value Appwrite accepts: false, or the number
+// closest to 0 within the attribute's min/max
+function redactNonString(value, attribute) {
+    if (typeof value === 'boolean') return false;
+    if (typeof value === 'number') return getFakeRange(attribute).low;
+    return null;
+}
+
+// Generate a fake value of the attribute's type
+function fakeValue(value, attribute, digest) {
+    const number = parseInt(digest.slice(0, 12), 16);
+
+    switch (getAttributeType(attribute)) {
+        case 'email':
+            return `user-${digest.slice(0, 10)}@example.com`;
+        case 'ip':
+            return `10.${[0, 2, 4].map(i => parseInt(digest.slice(i, i + 2), 16)).join('.')}`;
+        case 'url':
+            return `https://example.com/${digest.slice(0, 12)}`;
+        case 'integer': {
+            const { low, range } = getFakeRange(attribute);
+            return low + (number % (range + 1));
+        }
+        case 'float':
+        case 'double': {
+            const { low, range } = getFakeRange(attribute);
+            return Math.round((low + (number / 0xffffffffffff) * range) * 100) / 100;
+        }
+        case 'boolean':
+            return number % 2 === 0;
+        case 'datetime': {
+            // Shift the date by up to a year either way
+            const date = new Date(value);
+            if (Number.isNaN(date.getTime())) return value;
+            date.setUTCDate(date.getUTCDate() + (number % 731) - 365);
+            return date.toISOString();
+        }
+        case 'enum': {
+            const elements = attribute.elements || [];
+            return elements.length > 0 ? elements[number % elements.length] : value;
+        }
+        default:
+            return `${attribute.key}-${digest.slice(0, 10)}`;
+    }
+}
+
+// Mask a single value with a strategy
+function maskValue(value, strategy, attribute, seed) {
+    if (value === null || value === undefined) {
+        return value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => maskValue(item, strategy, attribute, seed));
+    }
+
+    const digest = maskDigest(value, seed);
+    const typedString = typeof value === 'string' && TYPED_STRING_TYPES.includes(getAttributeType(attribute));
+    let masked;
+    switch (strategy) {
+        case 'null':
+            return null;
+        case 'redact':
+            masked = typedString ? maskTypedString(value, strategy, attribute, digest) : (typeof value === 'string' ? '[REDACTED]' : redactNonString(value, attribute));
+            break;
+        case 'hash':
+            // Numbers and booleans get a value of their type derived from the digest
+            masked = typedString ? maskTypedString(value, strategy, attribute, digest) : (typeof value === 'string' ? digest : fakeValue(value, attribute, digest));
+            break;
+        case 'format':
+            masked = typeof value === 'string' ? maskPreservingFormat(value, digest) : fakeValue(value, attribute, digest);
+            break;
+        case 'fake':
+        default:
+            masked = fakeValue(value, attribute, digest);
+    }
+
+    // Stay within the attribute's size limit
+    if (typeof masked === 'string' && attribute.size) {
+        masked = masked.slice(0, attribute.size);
+    }
+    return masked;
+}
+
+// Mask the attributes of a document according to a masking plan
+// System fields and relationships are kept, so the document can be matched and cloned as usual
+function maskDocument(document, plan, seed = config.masking.seed) {
+    if (!plan) {
+        return document;
+    }
+
+    const masked = { ...document };
+    for (const [key, { strategy, attribute }] of Object.entries(plan)) {
+        if (key in masked) {
+            masked[key] = maskValue(masked[key], strategy, attribute, seed);
+        }
+    }
+    return masked;
+}
+
+// Load the transform hooks module, if configured
+// Hooks receive the collection ID and may be async:
+//   filterDocument(collectionId, data)      -> false to skip the document
+//   transformDocument(collectionId, data)   -> the data to write (or undefined to keep the mutated data)
+//   transformSchema(collectionId, schema)   -> { collection, attributes, indexes } to create
+async function loadTransformHooks(filepath = config.hooksFile) {
+    if (!filepath) {
+        return null;
+    }
+    if (!existsSync(filepath)) {
+        throw new Error(`Transform hooks module ${filepath} not found`);
+    }
+
+    const module = await import(pathToFileURL(resolve(filepath)).href);
+    const hooks = {};
+    for (const name of HOOK_NAMES) {
+        const hook = module[name] ?? module.default?.[name];
+        if (hook === undefined) continue;
+        if (typeof hook !== 'function') {
+            throw new Error(`Invalid transform hooks module ${filepath}: ${name} must be a function`);
+        }
+        hooks[name] = hook;
+    }
+
+    if (Object.keys(hooks).length === 0) {
+        throw new Error(`Transform hooks module ${filepath} exports none of ${HOOK_NAMES.join(', ')}`);
+    }
+    return hooks;
+}
+
+// Call a hook, naming it in any error it throws
+async function runHook(hooks, name, ...args) {
+    try {
+        return await hooks[name](...args);
+    } catch (error) {
+        throw new Error(`${name} hook failed: ${error.message}`);
+    }
+}
+
+// Run the document hooks on a document's cleaned data
+// Returns the document with the transformed data (system fields kept), or null when filterDocument drops it
+async function applyDocumentHooks(collectionId, document, hooks = config.hooks) {
+    if (!hooks || (!hooks.filterDocument && !hooks.transformDocument)) {
+        return document;
+    }
+
+    let data = cleanDocumentData(document);
+    // Only an explicit false skips the document, so a hook that returns nothing keeps it
+    if (hooks.filterDocument && (await runHook(hooks, 'filterDocument', collectionId, data)) === false) {
+        return null;
+    }
+    if (hooks.transformDocument) {
+        data = (await runHook(hooks, 'transformDocument', collectionId, data)) ?? data;
+        if (typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('transformDocument hook failed: expected an object');
+        }
+    }
+
+    // System fields still drive matching, checkpoints and watermarks
+    return { ...pickSystemFields(document), ...cleanDocumentData(data) };
+}
+
+// Fetch a source collection's schema, as transformed by the transformSchema hook
+async function fetchSourceSchema(databases, databaseId, collection, hooks = config.hooks) {
+    const schema = {
+        collection,
+        attributes: await fetchAllAttributes(databases, databaseId, collection.$id),
+        indexes: await fetchAllIndexes(databases, databaseId, collection.$id)
+    };
+    if (!hooks || !hooks.transformSchema) {
+        return schema;
+    }
+
+    const transformed = (await runHook(hooks, 'transformSchema', collection.$id, schema)) ?? schema;
+    if (!Array.isArray(transformed.attributes) || !Array.isArray(transformed.indexes)) {
+        throw new Error('transformSchema hook failed: expected { collection, attributes, indexes }');
+    }
+    // The collection ID is what documents and relationships refer to, so it cannot change
+    return { ...transformed, collection: { ...(transformed.collection || collection), $id: collection.$id } };
+}
+
 // Clean document data by removing Appwrite system fields
 // For relationship fields, extract only the $id reference(s)
 function cleanDocumentData(document) {
@@ -1099,67 +5892,23 @@ function cleanNestedObject(obj, systemFields) {
     return cleaned;
 }
 
-// Copy documents to destination collection
-async function copyDocuments(databases, destDatabaseId, collectionId, documents) {
-    let successCount = 0;
-    let errorCount = 0;
-    const errors = [];
-
-    for (const document of documents) {
-        const cleanedData = cleanDocumentData(document);
-
-        try {
-            await databases.createDocument(
-                destDatabaseId,
-                collectionId,
-                ID.unique(),
-                cleanedData
-            );
-            successCount++;
-        } catch (error) {
-            errorCount++;
-            errors.push({
-                documentId: document.$id,
-                error: error.message,
-            });
-        }
+// Print retry statistics for the run
+function printRetryStats(stats) {
+    if (stats.retries === 0 && stats.exhausted === 0) {
+        return;
     }
 
-    return { successCount, errorCount, errors };
-}
-
-// Copy a single collection
-async function copyCollection(databases, collection) {
-    const collectionId = collection.$id;
-    const collectionName = collection.name;
-
-    console.log(`\n  Collection: ${collectionName} (${collectionId})`);
-
-    // Fetch documents from source
-    const documents = await fetchAllDocuments(
-        databases,
-        config.sourceDatabaseId,
-        collectionId
-    );
+    const reasons = Object.entries(stats.byReason)
+        .map(([reason, count]) => `${reason}: ${count}`)
+        .join(', ');
 
-    if (documents.length === 0) {
-        console.log(`    No documents found, skipping...`);
-        return { collectionName, successCount: 0, errorCount: 0, errors: [] };
+    console.log('\n' + styleText('cyan', 'API retries:'));
+    console.log(`  API calls:          ${stats.calls}`);
+    console.log(`  Retries:            ${stats.retries} (${reasons})`);
+    console.log(`  Recovered calls:    ${styleText('green', String(stats.recovered))}`);
+    if (stats.exhausted > 0) {
+        console.log(`  Gave up after ${config.maxAttempts} attempts: ${styleText('red', String(stats.exhausted))}`);
     }
-
-    console.log(`    Found ${documents.length} documents, copying...`);
-
-    // Copy documents to destination
-    const result = await copyDocuments(
-        databases,
-        config.destDatabaseId,
-        collectionId,
-        documents
-    );
-
-    console.log(`    Copied: ${result.successCount}, Failed: ${result.errorCount}`);
-
-    return { collectionName, ...result };
 }
 
 // Main function
@@ -1168,62 +5917,183 @@ async function main() {
     console.log(styleText('bold', '  Appwrite Database Full Clone Tool'));
     console.log('='.repeat(60));
 
-    validateConfig();
+    const cli = parseCliArgs(process.argv.slice(2));
+    if (cli.help) {
+        printUsage();
+        return;
+    }
+
+    applyCliOverrides(cli);
+    validateConfig({
+        requireSource: !['import-csv', 'restore', 'schema-import'].includes(cli.mode),
+        requireDestination: ![...COMMAND_MODES.export, 'backup', 'schema-export'].includes(cli.mode),
+    });
 
-    const client = createClient();
-    const databases = new Databases(client);
+    // Every API call goes through the retry layer; each side gets its own rate limiter
+    const retryStats = createRetryStats();
+    const destLimiter = createRateLimiter(config.concurrency);
+    const sourceDatabases = withRetry(
+        new Databases(createClient(config.source)),
+        { stats: retryStats, limiter: createRateLimiter(config.concurrency) }
+    );
+    const destDatabases = withRetry(
+        new Databases(createClient(config.destination)),
+        { stats: retryStats, limiter: destLimiter }
+    );
 
     try {
+        applyCloneConfig(cli);
+        config.hooks = await loadTransformHooks();
+
         // Get database info for confirmation
         console.log('\nFetching database information...');
         const [sourceDb, destDb] = await Promise.all([
-            getDatabaseInfo(databases, config.sourceDatabaseId),
-            getDatabaseInfo(databases, config.destDatabaseId),
+            config.sourceDatabaseId
+                ? getDatabaseInfo(sourceDatabases, config.sourceDatabaseId)
+                : { exists: false, name: null, id: null },
+            config.destDatabaseId
+                ? getDatabaseInfo(destDatabases, config.destDatabaseId)
+                : { exists: false, name: null, id: null },
         ]);
 
-        // Validate source database exists
-        if (!sourceDb.exists) {
+        // Validate source database exists (CSV imports, restores and schema imports read files instead)
+        if (!sourceDb.exists && !['import-csv', 'restore', 'schema-import'].includes(cli.mode)) {
             console.error(styleText('red', `\nError: Source database "${config.sourceDatabaseId}" not found.`));
-            process.exit(1);
+            process.exit(EXIT_CODES.ERROR);
+        }
+
+        // Resume an interrupted run from its checkpoint journal
+        let journal = null;
+        const previousJournal = loadJournal();
+
+        if (cli.resume) {
+            if (!previousJournal) {
+                console.error(styleText('red', `\nError: No checkpoint journal found at ${JOURNAL_FILE_PATH}.`));
+                process.exit(EXIT_CODES.ERROR);
+            }
+            if (previousJournal.sourceDbId !== config.sourceDatabaseId || previousJournal.destDbId !== config.destDatabaseId) {
+                console.error(styleText('red', `\nError: Checkpoint journal is for "${previousJournal.sourceDbId}" -> "${previousJournal.destDbId}", not "${config.sourceDatabaseId}" -> "${config.destDatabaseId}".`));
+                process.exit(EXIT_CODES.ERROR);
+            }
+            if (cli.mode && cli.mode !== previousJournal.cloneMode) {
+                console.error(styleText('red', `\nError: Checkpoint journal was created in "${previousJournal.cloneMode}" mode, not "${cli.mode}".`));
+                process.exit(EXIT_CODES.ERROR);
+            }
+            journal = previousJournal;
+        } else if (previousJournal) {
+            console.log(styleText('yellow', `\nFound a checkpoint from an interrupted ${previousJournal.cloneMode} run started at ${previousJournal.startedAt}.`));
+            const sameDatabases = previousJournal.sourceDbId === config.sourceDatabaseId &&
+                previousJournal.destDbId === config.destDatabaseId;
+
+            if (!cli.assumeYes && !cli.mode && sameDatabases) {
+                const resumePrevious = await confirm({
+                    message: 'Resume the interrupted run?',
+                    default: true,
+                });
+                if (resumePrevious) {
+                    journal = previousJournal;
+                }
+            } else {
+                console.log(styleText('yellow', 'Pass --resume to continue it; starting a new run discards the checkpoint.'));
+            }
+        }
+
+        const resume = journal !== null;
+
+        // Use the resumed or command line mode, otherwise select it interactively
+        // (first, to determine if we need destination validation)
+        const cloneMode = resume
+            ? journal.cloneMode
+            : (cli.mode || await selectCloneMode(sourceDatabases, config.sourceDatabaseId, cli.dryRun));
+
+        // A resumed run keeps the collection selection it started with
+        if (resume && journal.collectionFilter) {
+            config.collectionFilter = journal.collectionFilter;
+        }
+        if (hasCollectionFilter()) {
+            const { include, exclude } = config.collectionFilter;
+            console.log(`\n  Collections: ${include.length > 0 ? include.join(', ') : 'all'}${exclude.length > 0 ? ` (excluding ${exclude.join(', ')})` : ''}`);
+        }
+        if (config.masking.enabled && !['structure-only', 'schema-sync', 'import-csv', 'backup', 'restore', 'schema-export', 'schema-import'].includes(cloneMode)) {
+            console.log(`\n  Masking: ${styleText('cyan', 'enabled')}`);
+            // Without a secret seed anyone can recompute the masked values of known inputs
+            if (!config.masking.seed) {
+                console.log(styleText('yellow', '  Warning: no masking seed is set (MASK_SEED or masking.seed); masked values can be guessed from known inputs'));
+            }
+        }
+        if (config.hooks && ![...COMMAND_MODES.export, 'import-csv', 'backup', 'restore', 'schema-export'].includes(cloneMode)) {
+            console.log(`\n  Transform hooks: ${config.hooksFile} (${Object.keys(config.hooks).join(', ')})`);
         }
 
-        // Select clone mode interactively first (to determine if we need destination validation)
-        const cloneMode = await selectCloneMode();
+        // Backups and schema exports only read the source
+        if (cloneMode === 'backup') {
+            await runBackup(sourceDatabases, sourceDb, cli);
+            printRetryStats(retryStats);
+            console.log('');
+            return;
+        }
+        if (cloneMode === 'schema-export') {
+            console.log(`\nExporting schema of ${sourceDb.name} (${sourceDb.id}) to ${cli.schemaFile}...`);
+            const exported = await exportAppwriteJson(sourceDatabases, config.sourceDatabaseId, cli.schemaFile);
+            console.log(styleText('green', `  Wrote ${exported.collections} collections with ${exported.attributes} attributes to ${cli.schemaFile}`));
+            printRetryStats(retryStats);
+            console.log('');
+            return;
+        }
 
-        // Handle CSV export mode separately (doesn't need destination)
-        if (cloneMode === 'export-csv') {
+        // Handle export modes separately (they don't need a destination)
+        if (COMMAND_MODES.export.includes(cloneMode)) {
+            const format = EXPORT_FORMATS[cloneMode];
+            const formatName = EXPORT_FORMAT_NAMES[format];
             console.log('\n' + '='.repeat(60));
-            console.log(styleText('cyan', '  Starting CSV Export'));
+            console.log(styleText('cyan', `  Starting ${formatName} Export`));
             console.log('='.repeat(60));
 
             console.log(`\n  Source: ${sourceDb.name} (${sourceDb.id})`);
 
-            // Ask if user wants to include system fields
-            const includeSystemFields = await confirm({
-                message: 'Include system fields ($id, $createdAt, etc.) in CSV? (Note: Must be "No" if re-importing into Appwrite)',
-                default: false,
-            });
+            // Ask if user wants to include system fields (unless running non-interactively)
+            const includeSystemFields = cli.assumeYes || cli.includeSystemFields
+                ? cli.includeSystemFields
+                : await confirm({
+                    message: format === 'csv'
+                        ? 'Include system fields ($id, $createdAt, etc.) in CSV? (Re-imports keep the $id and $permissions columns)'
+                        : `Include system fields ($createdAt, $permissions, etc.) in ${formatName}? ($id is always included)`,
+                    default: false,
+                });
 
-            // Perform CSV export
-            const csvResults = await exportToCSV(databases, config.sourceDatabaseId, includeSystemFields);
+            const exportResults = format === 'csv'
+                ? await exportToCSV(sourceDatabases, config.sourceDatabaseId, { includeSystemFields })
+                : await exportDocuments(sourceDatabases, config.sourceDatabaseId, format, { includeSystemFields });
 
             // Print summary
             console.log('\n' + '='.repeat(60));
-            console.log(styleText('green', styleText('bold', '  CSV Export Complete!')));
+            console.log(styleText('green', styleText('bold', `  ${formatName} Export Complete!`)));
             console.log('='.repeat(60));
 
-            console.log(`\n  Export directory: ${styleText('cyan', csvResults.exportDir)}`);
-            console.log(`  Total records:    ${styleText('green', String(csvResults.totalRecords))}`);
-            console.log(`\n  Files created:`);
+            console.log(`\n  Export directory: ${styleText('cyan', exportResults.exportDir)}`);
+            console.log(`  Total records:    ${styleText('green', String(exportResults.totalRecords))}`);
+            if (exportResults.filteredOut > 0) {
+                console.log(`  Filtered out:     ${styleText('yellow', String(exportResults.filteredOut))}`);
+            }
 
-            for (const coll of csvResults.collections) {
-                if (coll.recordCount > 0) {
-                    console.log(`    ${styleText('green', '✓')} ${coll.filename} (${coll.recordCount} records)`);
-                } else {
-                    console.log(`    ${styleText('yellow', '-')} ${coll.name}: No records to export`);
+            // JSON fixtures and SQL dumps write one file for all collections
+            if (exportResults.filename) {
+                console.log(`\n  File created: ${exportResults.filename}`);
+                for (const coll of exportResults.collections) {
+                    console.log(`    ${styleText(coll.recordCount > 0 ? 'green' : 'yellow', coll.recordCount > 0 ? '✓' : '-')} ${coll.name} (${coll.recordCount} records)`);
+                }
+            } else {
+                console.log(`\n  Files created:`);
+                for (const coll of exportResults.collections) {
+                    if (coll.recordCount > 0) {
+                        console.log(`    ${styleText('green', '✓')} ${coll.filename} (${coll.recordCount} records)`);
+                    } else {
+                        console.log(`    ${styleText('yellow', '-')} ${coll.name}: No records to export`);
+                    }
                 }
             }
 
+            printRetryStats(retryStats);
             console.log('');
             return;
         }
@@ -1231,41 +6101,201 @@ async function main() {
         // Validate destination database exists (for non-export modes)
         if (!destDb.exists) {
             console.error(styleText('red', `\nError: Destination database "${config.destDatabaseId}" not found.`));
-            process.exit(1);
+            process.exit(EXIT_CODES.ERROR);
+        }
+
+        // CSV import loads files into the destination, without a source database or journal
+        if (cloneMode === 'import-csv') {
+            await runCSVImport(destDatabases, destDb, cli, destLimiter);
+            printRetryStats(retryStats);
+            console.log('');
+            return;
+        }
+
+        // Schema imports diff the appwrite.json against the destination like a schema sync
+        if (cloneMode === 'schema-import') {
+            const { database, schemas } = loadAppwriteJson(cli.schemaFile, config.sourceDatabaseId);
+            config.sourceDatabaseId = database.$id;
+            console.log(`\nApplying ${cli.schemaFile} (database ${database.$id}, ${Object.keys(schemas).length} collections)`);
+            await runSchemaSync(
+                createSchemaDatabases(database, schemas),
+                destDatabases,
+                { exists: true, id: database.$id, name: database.name },
+                destDb,
+                { ...cli, inputPath: cli.schemaFile }
+            );
+            printRetryStats(retryStats);
+            console.log('');
+            return;
+        }
+
+        // Restores read a verified backup archive instead of the source database
+        if (cloneMode === 'restore') {
+            await runRestore(destDatabases, destDb, cli, destLimiter);
+            printRetryStats(retryStats);
+            console.log('');
+            return;
+        }
+
+        // Schema sync compares and updates the structure in place, without a journal
+        if (cloneMode === 'schema-sync') {
+            await runSchemaSync(sourceDatabases, destDatabases, sourceDb, destDb, cli);
+            printRetryStats(retryStats);
+            console.log('');
+            return;
+        }
+
+        // Validate the match keys up front so a bad key doesn't duplicate documents
+        let matchKeys = {};
+        if (cloneMode === 'subset' && Object.keys(config.subset.roots).length === 0) {
+            console.error(styleText('red', `\nError: Subset mode needs root collections (--subset or subset.roots in ${config.configFile}).`));
+            process.exit(EXIT_CODES.USAGE);
+        }
+
+        // Reset incremental watermarks so those collections are synced from scratch
+        if (cloneMode === 'incremental' && cli.resetWatermarks.length > 0) {
+            const syncState = loadSyncState();
+            const watermarks = getWatermarks(syncState, config.sourceDatabaseId, config.destDatabaseId);
+            const reset = cli.resetWatermarks.includes('all') ? Object.keys(watermarks) : cli.resetWatermarks;
+            for (const collectionId of reset) {
+                delete watermarks[collectionId];
+            }
+            saveSyncState(syncState);
+            console.log(styleText('yellow', `\nReset incremental watermarks: ${reset.join(', ') || '(none)'}`));
+        }
+
+        // Incremental changes reference documents synced in earlier runs, so their IDs must be stable
+        if (cloneMode === 'incremental' && (resume ? journal.idStrategy : resolveIdStrategy(cloneMode)) === 'unique') {
+            console.error(styleText('red', '\nError: Incremental sync requires the preserve or deterministic ID strategy.'));
+            process.exit(EXIT_CODES.ERROR);
+        }
+
+        if (['missing-only', 'upsert', 'mirror', 'incremental'].includes(cloneMode) && !cli.dryRun) {
+            matchKeys = loadMatchKeys();
+            const { errors, warnings } = await validateMatchKeys(
+                sourceDatabases,
+                config.sourceDatabaseId,
+                matchKeys,
+                resume ? journal.idStrategy : resolveIdStrategy(cloneMode),
+                getDefaultMatchFields(cloneMode)
+            );
+
+            if (warnings.length > 0) {
+                console.log('\n' + styleText('yellow', 'Match key warnings:'));
+                for (const warning of warnings) {
+                    console.log(`  ~ ${warning.collection}: ${warning.message}`);
+                }
+            }
+            if (errors.length > 0) {
+                console.error('\n' + styleText('red', `Invalid match keys (${config.matchKeysFile}):`));
+                for (const err of errors) {
+                    console.error(`  - ${err.collection} / ${err.item}: ${err.message}`);
+                }
+                process.exit(EXIT_CODES.ERROR);
+            }
+        }
+
+        // Dry run: show the plan and exit without changing anything
+        if (cli.dryRun) {
+            const plan = await buildClonePlan(
+                sourceDatabases, destDatabases, config.sourceDatabaseId, config.destDatabaseId, cloneMode
+            );
+            printClonePlan(plan);
+            if (cli.output) {
+                console.log(`\n  Plan saved to: ${styleText('cyan', writePlanFile(plan, cli.output))}`);
+            }
+            printRetryStats(retryStats);
+            console.log('');
+            if (plan.predictedFailures.length > 0) {
+                process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+            }
+            return;
+        }
+
+        // Offer to review the plan before the interactive confirmation
+        if (!cli.assumeYes && !resume) {
+            const reviewPlan = await confirm({
+                message: 'Review the execution plan before confirming?',
+                default: true,
+            });
+            if (reviewPlan) {
+                printClonePlan(await buildClonePlan(
+                    sourceDatabases, destDatabases, config.sourceDatabaseId, config.destDatabaseId, cloneMode
+                ));
+            }
         }
 
         // Confirm migration with user
-        await confirmMigration(sourceDb, destDb);
+        await confirmMigration(sourceDb, destDb, { ...cli, mode: cloneMode });
 
         // Determine clone options based on mode
         const cloneOptions = {
-            cloneStructure: cloneMode === 'full' || cloneMode === 'structure-only',
-            cloneData: cloneMode === 'full' || cloneMode === 'data-only',
+            cloneStructure: ['full', 'structure-only', 'subset'].includes(cloneMode),
+            cloneData: ['full', 'data-only', 'subset'].includes(cloneMode),
             missingOnly: cloneMode === 'missing-only',
+            upsert: cloneMode === 'upsert',
+            mirror: cloneMode === 'mirror',
+            incremental: cloneMode === 'incremental',
+            subset: cloneMode === 'subset' ? config.subset : null,
+            idStrategy: resume ? journal.idStrategy : resolveIdStrategy(cloneMode),
+            resume,
+            spool: config.spool,
+            matchKeys,
         };
 
+        // Export and schema sync returned earlier, so every other mode but structure-only copies documents
+        const copiesDocuments = cloneMode !== 'structure-only';
+        const updatesDocuments = cloneOptions.upsert || cloneOptions.mirror || cloneOptions.incremental;
+
+        // Start a fresh checkpoint journal unless resuming
+        if (!resume) {
+            deleteJournal();
+            journal = createJournal(config.sourceDatabaseId, config.destDatabaseId, cloneMode, cloneOptions.idStrategy);
+            saveJournal(journal);
+        }
+        cloneOptions.journal = journal;
+        cloneOptions.limiter = destLimiter;
+
         console.log('\n' + '='.repeat(60));
         console.log(styleText('cyan', '  Starting Migration'));
         console.log('='.repeat(60));
 
-        console.log(`\n  Source:      ${sourceDb.name} (${sourceDb.id})`);
-        console.log(`  Destination: ${destDb.name} (${destDb.id})`);
+        console.log(`\n  Source:      ${sourceDb.name} (${sourceDb.id}) [${config.source.projectId}]`);
+        console.log(`  Destination: ${destDb.name} (${destDb.id}) [${config.destination.projectId}]`);
         console.log(`  Mode:        ${cloneMode}`);
         console.log(`  Batch size:  ${config.batchSize}`);
+        console.log(`  Concurrency: ${config.concurrency}`);
+        if (copiesDocuments) {
+            console.log(`  Document IDs: ${cloneOptions.idStrategy}`);
+        }
+        if (cloneOptions.mirror) {
+            console.log(`  Max deletes: ${config.mirrorMaxDeletePercent}% per collection`);
+        }
+        if (resume) {
+            console.log(`  Resuming:    run started at ${journal.startedAt}`);
+        }
 
-        // Drop destination collections first (unless data-only or missing-only mode)
-        if (cloneOptions.cloneStructure && !cloneOptions.missingOnly) {
-            await dropDestinationCollections(databases, config.destDatabaseId);
+        // Flush the checkpoint journal if the user presses Ctrl-C
+        const removeCheckpointHandler = installCheckpointHandler(journal);
+
+        // Drop destination collections first (unless data-only, missing-only or resuming)
+        if (cloneOptions.cloneStructure && !cloneOptions.missingOnly && !resume) {
+            await dropDestinationCollections(destDatabases, config.destDatabaseId);
         }
 
         // Perform full database clone
         const results = await cloneDatabase(
-            databases,
+            sourceDatabases,
+            destDatabases,
             config.sourceDatabaseId,
             config.destDatabaseId,
             cloneOptions
         );
 
+        // The run completed, so the checkpoint is no longer needed
+        removeCheckpointHandler();
+        deleteJournal();
+
         // Print summary
         console.log('\n' + '='.repeat(60));
         console.log(styleText('green', styleText('bold', '  Clone Complete!')));
@@ -1278,14 +6308,43 @@ async function main() {
             }
         }
 
-        if (cloneOptions.cloneData || cloneOptions.missingOnly) {
+        if (copiesDocuments) {
             console.log(`\n  Documents copied:   ${styleText('green', String(results.documents.success))}`);
+            if (updatesDocuments) {
+                console.log(`  Documents updated:  ${styleText('green', String(results.documents.updated))}`);
+                console.log(`  Documents unchanged: ${String(results.documents.unchanged)}`);
+            }
+            if (cloneOptions.mirror) {
+                console.log(`  Documents deleted:  ${styleText('yellow', String(results.documents.deleted))}`);
+            }
             if (results.documents.failed > 0) {
                 console.log(`  Documents failed:   ${styleText('red', String(results.documents.failed))}`);
             }
+            if (results.documents.resumed > 0) {
+                console.log(`  Documents resumed:  ${styleText('cyan', String(results.documents.resumed))} (processed by the previous run)`);
+            }
+            if (results.documents.filteredOut > 0) {
+                console.log(`  Documents filtered out: ${styleText('yellow', String(results.documents.filteredOut))} (by the configured filters or hooks)`);
+            }
             if (cloneOptions.missingOnly && results.documents.skipped > 0) {
                 console.log(`  Documents skipped:  ${styleText('yellow', String(results.documents.skipped))} (already exist)`);
             }
+            if (results.idMapFile) {
+                console.log(`  ID mapping file:    ${styleText('cyan', results.idMapFile)}`);
+            }
+
+            if (updatesDocuments) {
+                const columns = cloneOptions.mirror
+                    ? ['created', 'updated', 'unchanged', 'deleted', 'failed']
+                    : ['created', 'updated', 'unchanged', 'failed'];
+                console.log(`\n  Per collection (${columns.join(' / ')}):`);
+                for (const [name, counts] of Object.entries(results.documents.byCollection)) {
+                    const values = columns.map(column => column === 'failed' && counts.failed > 0
+                        ? styleText('red', String(counts.failed))
+                        : String(counts[column]));
+                    console.log(`    ${name}: ${values.join(' / ')}`);
+                }
+            }
         }
 
         // Print detailed collection errors if any
@@ -1298,7 +6357,7 @@ async function main() {
 
         // Print detailed attribute errors if any
         if (results.collections.attributeErrors && results.collections.attributeErrors.length > 0) {
-            console.log('\n' + styleText('red', 'Attribute errors by collection:'));
+            console.log('\n' + styleText('red', 'Attribute and index errors by collection:'));
             for (const collErr of results.collections.attributeErrors) {
                 console.log(`\n  ${collErr.collection}:`);
                 for (const err of collErr.errors) {
@@ -1318,16 +6377,67 @@ async function main() {
             }
         }
 
+        // Print unresolved relationship references if any
+        if (results.documents.unresolved.length > 0) {
+            console.log('\n' + styleText('yellow', 'Unresolved relationship references:'));
+            for (const ref of results.documents.unresolved) {
+                console.log(`  - ${ref.collection} / ${ref.documentId}.${ref.attribute}: ${ref.references.join(', ')}`);
+            }
+        }
+
+        printRetryStats(retryStats);
         console.log('');
+
+        // Signal partial failures to CI pipelines
+        if (results.collections.failed > 0 || results.documents.failed > 0) {
+            process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+        }
     } catch (error) {
         if (error.name === 'ExitPromptError') {
             console.log('\nMigration cancelled by user.');
-            process.exit(0);
+            process.exit(EXIT_CODES.SUCCESS);
         }
         console.error('\n' + styleText('red', `Error during clone operation: ${error.message}`));
-        process.exit(1);
+        process.exit(EXIT_CODES.ERROR);
     }
 }
 
-// Run the application
-main();
+// Helpers covered by the tests in test/
+export {
+    config,
+    createJournal,
+    loadJournal,
+    saveJournal,
+    deleteJournal,
+    cloneDatabase,
+    createClient,
+    parseRetryAfter,
+    createRateLimiter,
+    createWorkerPool,
+    createRetryStats,
+    callWithRetry,
+    withRetry,
+    updateAttribute,
+    buildSubset,
+    createBackup,
+    loadBackupArchive,
+    createArchiveDatabases,
+    orderCollectionsByDependency,
+    buildFilterQuery,
+    maskValue,
+    readCSVRecords,
+    parseCSVValue,
+    parseCSVField,
+    csvRecordToDocument,
+    escapeCSVField,
+    quoteSQLIdentifier,
+    toSQLLiteral,
+    buildSQLTablePlan,
+    buildCreateTableSQL,
+    buildInsertSQL,
+};
+
+// Run the application when started directly, not when imported by the tests
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+    main();
+}
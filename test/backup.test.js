@@ -0,0 +1,49 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createSourceDatabase, StubDatabases } from './stub-databases.js';
+
+process.chdir(mkdtempSync(join(tmpdir(), 'backup-test-')));
+const { config, createBackup, loadBackupArchive, createArchiveDatabases, cloneDatabase } = await import('../index.js');
+mock.method(console, 'log', () => {});
+
+test('a restore reads past the 5000 document total limit and keeps document permissions', async () => {
+    config.batchSize = 1000;
+    const count = 5001;
+    const source = await createSourceDatabase('items', Array.from({ length: count }, (_, i) => ({
+        $id: `d${String(i).padStart(5, '0')}`,
+        name: `n${i}`,
+        $permissions: i % 2 === 0 ? ['read("any")'] : [],
+    })));
+
+    const manifest = await createBackup(source, 'src', 'archive');
+    assert.equal(manifest.totals.documents, count);
+
+    const destination = new StubDatabases();
+    destination.database('dst');
+    const results = await cloneDatabase(createArchiveDatabases(await loadBackupArchive('archive')), destination, 'src', 'dst', {
+        idStrategy: 'preserve', keepPermissions: true
+    });
+
+    assert.equal(results.documents.failed, 0);
+    assert.equal(results.documents.success, count);
+    const restored = destination.documents('dst', 'items');
+    assert.equal(restored.length, count);
+    assert.deepEqual(restored[0].$permissions, ['read("any")']);
+    assert.deepEqual(restored[1].$permissions, []);
+    assert.equal(restored[count - 1].name, `n${count - 1}`);
+});
+
+test('the archive reader serves selected fields for counting', async () => {
+    const source = await createSourceDatabase('items', [{ $id: 'a', name: 'a' }, { $id: 'b', name: 'b' }]);
+    await createBackup(source, 'src', 'small');
+    const archive = createArchiveDatabases(await loadBackupArchive('small'));
+
+    const { total, documents } = await archive.listDocuments('src', 'items', [
+        '{"method":"select","values":["$id"]}', '{"method":"limit","values":[10]}'
+    ]);
+    assert.equal(total, 2);
+    assert.deepEqual(documents, [{ $id: 'a' }, { $id: 'b' }]);
+});
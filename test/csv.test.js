@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { readCSVRecords, parseCSVValue, parseCSVField, csvRecordToDocument, escapeCSVField } from '../index.js';
+
+// Write a CSV file to a temporary directory and read back its records
+async function readRecords(content) {
+    const dir = mkdtempSync(join(tmpdir(), 'csv-test-'));
+    try {
+        const filepath = join(dir, 'records.csv');
+        writeFileSync(filepath, content);
+        const records = [];
+        for await (const record of readCSVRecords(filepath)) {
+            records.push(record);
+        }
+        return records;
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+const attr = (type, extra = {}) => ({ key: type, type, required: false, ...extra });
+
+test('readCSVRecords splits plain records and skips blank lines', async () => {
+    const records = await readRecords('a,b,c\n1,2,3\n\n4,,6\n');
+    assert.deepEqual(records, [
+        { line: 1, fields: ['a', 'b', 'c'] },
+        { line: 2, fields: ['1', '2', '3'] },
+        { line: 4, fields: ['4', '', '6'] },
+    ]);
+});
+
+test('readCSVRecords reads quoted fields with commas, doubled quotes and line breaks after a BOM', async () => {
+    const records = await readRecords('\uFEFFname,note\n"Doe, Jane","She said ""hi""\nand left"\nnext,row\n');
+    assert.deepEqual(records, [
+        { line: 1, fields: ['name', 'note'] },
+        { line: 2, fields: ['Doe, Jane', 'She said "hi"\nand left'] },
+        { line: 4, fields: ['next', 'row'] },
+    ]);
+});
+
+test('readCSVRecords handles CRLF line endings', async () => {
+    const records = await readRecords('a,b\r\n"x\r\ny",z\r\n');
+    assert.deepEqual(records.map(record => record.fields), [['a', 'b'], ['x\ny', 'z']]);
+});
+
+test('readCSVRecords rejects an unterminated quoted field', async () => {
+    await assert.rejects(readRecords('a,b\n"open,1\n'), /Unterminated quoted field starting on line 2/);
+});
+
+test('readCSVRecords reads back fields escaped by escapeCSVField', async () => {
+    const values = ['plain', 'with, comma', 'with "quotes"', 'multi\nline', ' padded ', ['a', 'b']];
+    const records = await readRecords(values.map(escapeCSVField).join(',') + '\n');
+    assert.deepEqual(records[0].fields, ['plain', 'with, comma', 'with "quotes"', 'multi\nline', ' padded ', '["a","b"]']);
+});
+
+test('parseCSVValue converts integers, numbers and booleans', () => {
+    assert.equal(parseCSVValue('42', attr('integer')), 42);
+    assert.equal(parseCSVValue('-7', attr('integer')), -7);
+    assert.equal(parseCSVValue('4.5', attr('double')), 4.5);
+    assert.equal(parseCSVValue('yes', attr('boolean')), true);
+    assert.equal(parseCSVValue('0', attr('boolean')), false);
+});
+
+test('parseCSVValue reports type conversion errors', () => {
+    assert.throws(() => parseCSVValue('4.2', attr('integer')), /expected an integer, got "4.2"/);
+    assert.throws(() => parseCSVValue('abc', attr('float')), /expected a number, got "abc"/);
+    assert.throws(() => parseCSVValue(' ', attr('double')), /expected a number/);
+    assert.throws(() => parseCSVValue('maybe', attr('boolean')), /expected true or false/);
+    assert.throws(() => parseCSVValue('not a date', attr('datetime')), /expected a date/);
+    assert.throws(() => parseCSVValue('5', attr('integer', { max: 3 })), /5 is greater than the maximum 3/);
+    assert.throws(() => parseCSVValue('-1', attr('integer', { min: 0 })), /-1 is less than the minimum 0/);
+    assert.throws(() => parseCSVValue('toolong', attr('string', { size: 3 })), /longer than 3 characters/);
+    assert.throws(() => parseCSVValue('d', attr('string', { format: 'enum', elements: ['a', 'b'] })), /"d" is not one of a, b/);
+});
+
+test('parseCSVValue reads the date formats of the CSV export', () => {
+    const iso = '2024-03-04T05:06:07.000Z';
+    assert.equal(parseCSVValue('2024-03-04T05:06:07.000+00:00', attr('datetime')), iso);
+    assert.equal(parseCSVValue('2024-03-04 05:06:07', attr('datetime')), iso);
+    assert.equal(parseCSVValue(String(Date.parse(iso)), attr('datetime')), iso);
+    assert.equal(parseCSVValue('2024-03-04', attr('datetime')), '2024-03-04T00:00:00.000Z');
+});
+
+test('parseCSVValue keeps the IDs of exported related documents', () => {
+    const relationship = attr('relationship');
+    assert.equal(parseCSVValue('doc1', relationship), 'doc1');
+    assert.equal(parseCSVValue('{"$id":"doc1","name":"x"}', relationship), 'doc1');
+    assert.deepEqual(parseCSVValue('[{"$id":"doc1"},"doc2"]', relationship), ['doc1', 'doc2']);
+});
+
+test('parseCSVField treats empty fields as null and enforces required ones', () => {
+    assert.equal(parseCSVField('', attr('string')), null);
+    assert.throws(() => parseCSVField('', attr('string', { required: true })), /is required/);
+});
+
+test('parseCSVField reads arrays as JSON and converts string items', () => {
+    assert.deepEqual(parseCSVField('["1","2"]', attr('integer', { array: true })), [1, 2]);
+    assert.deepEqual(parseCSVField('[1,2]', attr('integer', { array: true })), [1, 2]);
+    assert.throws(() => parseCSVField('1|2', attr('integer', { array: true })), /expected a JSON array, got "1\|2"/);
+});
+
+test('csvRecordToDocument maps headers to data, ID and permissions', () => {
+    const attributes = new Map([
+        ['title', attr('string', { key: 'title', required: true })],
+        ['pages', attr('integer', { key: 'pages' })],
+    ]);
+    const document = csvRecordToDocument(
+        ['$id', '$createdAt', '$permissions', 'title', 'pages', 'extra'],
+        ['b1', '2024-01-01', '["read(\\"any\\")"]', 'Book', '12', 'ignored'],
+        attributes
+    );
+    assert.deepEqual(document, {
+        documentId: 'b1',
+        data: { title: 'Book', pages: 12 },
+        permissions: ['read("any")'],
+        errors: [],
+    });
+});
+
+test('csvRecordToDocument collects an error per invalid field', () => {
+    const attributes = new Map([
+        ['title', attr('string', { key: 'title', required: true })],
+        ['pages', attr('integer', { key: 'pages' })],
+    ]);
+    const document = csvRecordToDocument(['$permissions', 'title', 'pages'], ['nope', '', 'x'], attributes);
+    assert.deepEqual(document.errors, [
+        '$permissions: expected a JSON array',
+        'title: is required',
+        'pages: expected an integer, got "x"',
+    ]);
+
+    const short = csvRecordToDocument(['title', 'pages'], ['Book'], attributes);
+    assert.deepEqual(short.errors, ['expected 2 fields, got 1']);
+});
+
+test('csvRecordToDocument collects array element columns', () => {
+    const attributes = new Map([['tags', attr('string', { key: 'tags', array: true })]]);
+    const document = csvRecordToDocument(['tags[0]', 'tags[1]', 'tags[2]'], ['a', '', 'c'], attributes);
+    assert.deepEqual(document.data, { tags: ['a', 'c'] });
+});
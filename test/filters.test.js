@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildFilterQuery } from '../index.js';
+
+test('buildFilterQuery builds the JSON query string Appwrite expects', () => {
+    const query = buildFilterQuery({ method: 'equal', attribute: 'status', values: ['active', 'trial'] }, 'orders');
+    assert.deepEqual(JSON.parse(query), { method: 'equal', attribute: 'status', values: ['active', 'trial'] });
+});
+
+test('buildFilterQuery wraps a single value and defaults to no values', () => {
+    assert.deepEqual(JSON.parse(buildFilterQuery({ method: 'greaterThan', attribute: 'total', values: 100 }, 'orders')).values, [100]);
+    assert.deepEqual(JSON.parse(buildFilterQuery({ method: 'isNull', attribute: 'deletedAt' }, 'orders')).values, []);
+});
+
+test('buildFilterQuery resolves relative dates', () => {
+    const before = Date.now();
+    const { values } = JSON.parse(buildFilterQuery({ method: 'greaterThan', attribute: '$createdAt', values: ['now-30d', 'now', 'later'] }, 'orders'));
+    const thirtyDays = 30 * 86400000;
+    assert.ok(Math.abs(Date.parse(values[0]) - (before - thirtyDays)) < 5000);
+    assert.ok(Math.abs(Date.parse(values[1]) - before) < 5000);
+    assert.equal(values[2], 'later');
+});
+
+test('buildFilterQuery nests and/or queries', () => {
+    const query = buildFilterQuery({
+        method: 'or',
+        values: [
+            { method: 'equal', attribute: 'status', values: ['active'] },
+            { method: 'and', values: [{ method: 'lessThan', attribute: 'total', values: [5] }] },
+        ],
+    }, 'orders');
+    assert.deepEqual(JSON.parse(query), {
+        method: 'or',
+        values: [
+            { method: 'equal', attribute: 'status', values: ['active'] },
+            { method: 'and', values: [{ method: 'lessThan', attribute: 'total', values: [5] }] },
+        ],
+    });
+});
+
+test('buildFilterQuery rejects unknown methods and missing attributes', () => {
+    assert.throws(() => buildFilterQuery({ method: 'limit', values: [10] }, 'orders'), /Invalid filter for collection "orders": method must be one of/);
+    assert.throws(() => buildFilterQuery(null, 'orders'), /method must be one of/);
+    assert.throws(() => buildFilterQuery({ method: 'equal', values: ['x'] }, 'orders'), /Invalid equal filter for collection "orders": attribute is required/);
+    assert.throws(() => buildFilterQuery({ method: 'and', values: [{ method: 'orderAsc' }] }, 'orders'), /method must be one of/);
+});
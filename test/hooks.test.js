@@ -0,0 +1,41 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { StubDatabases } from './stub-databases.js';
+
+// ID maps are written to the working directory, so run in a scratch directory
+process.chdir(mkdtempSync(join(tmpdir(), 'hooks-test-')));
+const { config, cloneDatabase } = await import('../index.js');
+mock.method(console, 'log', () => {});
+afterEach(() => { config.hooks = null; });
+
+test('relationships renamed by transformSchema are remapped to the new document IDs', async () => {
+    const source = new StubDatabases();
+    await source.createCollection('src', 'customers', 'customers');
+    await source.createCollection('src', 'orders', 'orders');
+    await source.createRelationshipAttribute('src', 'orders', 'customers', 'manyToOne', false, 'customer', null, 'setNull');
+    source.collection('src', 'customers').documents.push({ $id: 'c1', $permissions: [] });
+    source.collection('src', 'orders').documents.push({ $id: 'o1', $permissions: [], customer: { $id: 'c1', $collectionId: 'customers' } });
+
+    const rename = ({ customer, ...rest }) => (customer === undefined ? rest : { ...rest, buyer: customer });
+    config.hooks = {
+        transformSchema: (collectionId, schema) => ({
+            ...schema,
+            attributes: schema.attributes.map(a => (a.key === 'customer' ? { ...a, key: 'buyer' } : a))
+        }),
+        transformDocument: (collectionId, data) => rename(data)
+    };
+    const destination = new StubDatabases();
+    destination.database('dst');
+
+    const results = await cloneDatabase(source, destination, 'src', 'dst', { idStrategy: 'deterministic' });
+    assert.equal(results.documents.failed, 0);
+
+    const [customer] = destination.documents('dst', 'customers');
+    const [order] = destination.documents('dst', 'orders');
+    assert.notEqual(customer.$id, 'c1');
+    assert.equal(order.buyer, customer.$id);
+    assert.equal(order.customer, undefined);
+});
@@ -0,0 +1,69 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { appwriteError, createSourceDatabase, StubDatabases } from './stub-databases.js';
+
+// The sync state lives in the working directory, so run in a scratch directory
+process.chdir(mkdtempSync(join(tmpdir(), 'incremental-test-')));
+const { cloneDatabase } = await import('../index.js');
+mock.method(console, 'log', () => {});
+beforeEach(() => rmSync('.appwrite-sync-state.json', { force: true }));
+
+const T1 = '2024-01-01T00:00:00.000+00:00';
+const T2 = '2024-01-02T00:00:00.000+00:00';
+const T3 = '2024-01-03T00:00:00.000+00:00';
+
+function readWatermark(collectionId) {
+    const { pairs } = JSON.parse(readFileSync('.appwrite-sync-state.json', 'utf-8'));
+    const { updatedAt, id } = Object.values(pairs)[0].collections[collectionId];
+    return { updatedAt, id };
+}
+
+// Source documents a (T1), b and d (both T2), cloned once and synced once
+async function createSyncedPair() {
+    const source = await createSourceDatabase('items', [
+        { $id: 'a', name: 'a', $updatedAt: T1 },
+        { $id: 'd', name: 'd', $updatedAt: T2 },
+        { $id: 'b', name: 'b', $updatedAt: T2 },
+    ]);
+    const destination = new StubDatabases();
+    destination.database('dst');
+    await cloneDatabase(source, destination, 'src', 'dst');
+    await cloneDatabase(source, destination, 'src', 'dst', { cloneStructure: false, incremental: true });
+    destination.calls = [];
+    return { source, destination };
+}
+
+test('the watermark advances to the newest document, ties broken by $id', async () => {
+    await createSyncedPair();
+    assert.deepEqual(readWatermark('items'), { updatedAt: T2, id: 'd' });
+});
+
+test('documents sharing the watermark timestamp are only applied when they sort after it', async () => {
+    const { source, destination } = await createSyncedPair();
+    source.collection('src', 'items').documents.push({ $id: 'e', name: 'e', $updatedAt: T2, $permissions: [] });
+    Object.assign(source.documents('src', 'items').find(document => document.$id === 'a'), { name: 'a2', $updatedAt: T3 });
+
+    await cloneDatabase(source, destination, 'src', 'dst', { cloneStructure: false, incremental: true });
+
+    // "b" and "d" are read again for their timestamp but were applied by the previous run
+    assert.deepEqual(destination.calls, [['createDocument', 'items', 'e'], ['updateDocument', 'items', 'a']]);
+    assert.deepEqual(readWatermark('items'), { updatedAt: T3, id: 'a' });
+});
+
+test('the watermark stays put when a change fails, so the next run retries it', async () => {
+    const { source, destination } = await createSyncedPair();
+    Object.assign(source.documents('src', 'items').find(document => document.$id === 'a'), { name: 'a2', $updatedAt: T3 });
+    destination.failOn = (method) => (method === 'updateDocument' ? appwriteError('Invalid document structure', 400) : null);
+
+    const results = await cloneDatabase(source, destination, 'src', 'dst', { cloneStructure: false, incremental: true });
+    assert.equal(results.documents.failed, 1);
+    assert.deepEqual(readWatermark('items'), { updatedAt: T2, id: 'd' });
+
+    destination.failOn = () => null;
+    await cloneDatabase(source, destination, 'src', 'dst', { cloneStructure: false, incremental: true });
+    assert.equal(destination.documents('dst', 'items').find(document => document.$id === 'a').name, 'a2');
+    assert.deepEqual(readWatermark('items'), { updatedAt: T3, id: 'a' });
+});
@@ -0,0 +1,55 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createSourceDatabase, StubDatabases } from './stub-databases.js';
+
+// The journal lives in the working directory, so run in a scratch directory
+process.chdir(mkdtempSync(join(tmpdir(), 'journal-test-')));
+const { config, createJournal, loadJournal, saveJournal, deleteJournal, cloneDatabase } = await import('../index.js');
+mock.method(console, 'log', () => {});
+beforeEach(() => deleteJournal());
+
+test('saveJournal appends deferred updates to a side file instead of the journal', () => {
+    const journal = createJournal('src', 'dst', 'full', 'preserve');
+    journal.pendingDeferredUpdates.push({ collectionId: 'a', sourceId: '1', documentId: '1', deferred: { parent: '2' } });
+    saveJournal(journal);
+    journal.pendingDeferredUpdates.push({ collectionId: 'a', sourceId: '2', documentId: '2', deferred: { parent: '1' } });
+    saveJournal(journal);
+
+    assert.equal(JSON.parse(readFileSync('.appwrite-clone-journal.json', 'utf-8')).deferredUpdates, undefined);
+    assert.equal(readFileSync('.appwrite-clone-journal.deferred.ndjson', 'utf-8').trim().split('\n').length, 2);
+    assert.deepEqual(loadJournal().deferredUpdates.map(update => update.sourceId), ['1', '2']);
+});
+
+test('a resumed unique-ID clone reuses the ID of the document in flight', async () => {
+    config.batchSize = 10;
+    const source = await createSourceDatabase('items', [
+        { $id: 'a', name: 'a' },
+        { $id: 'b', name: 'b' },
+        { $id: 'c', name: 'c' },
+    ]);
+    const destination = new StubDatabases();
+    destination.database('dst');
+
+    // The insert of "b" reaches the server, but the run stops before it is checkpointed
+    const createDocument = destination.createDocument.bind(destination);
+    destination.createDocument = async (...args) => {
+        const document = await createDocument(...args);
+        if (args[3].name === 'b') throw new Error('socket hang up');
+        return document;
+    };
+    const journal = createJournal('src', 'dst', 'full', 'unique');
+    await cloneDatabase(source, destination, 'src', 'dst', { idStrategy: 'unique', journal });
+    journal.documents.items = { lastDocumentId: 'a', processed: 1, completed: false };
+    saveJournal(journal);
+
+    destination.createDocument = createDocument;
+    const results = await cloneDatabase(source, destination, 'src', 'dst', {
+        cloneStructure: false, idStrategy: 'unique', journal: loadJournal(), resume: true
+    });
+
+    assert.equal(results.documents.failed, 0);
+    assert.deepEqual(destination.documents('dst', 'items').map(document => document.name).sort(), ['a', 'b', 'c']);
+});
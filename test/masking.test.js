@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { maskValue } from '../index.js';
+
+const seed = 'test-seed';
+const attr = (type, extra = {}) => ({ key: type, type, ...extra });
+
+test('maskValue is deterministic for a seed and differs between seeds', () => {
+    const attribute = attr('string', { size: 100 });
+    assert.equal(maskValue('Jane', 'fake', attribute, seed), maskValue('Jane', 'fake', attribute, seed));
+    assert.notEqual(maskValue('Jane', 'hash', attribute, seed), maskValue('Jane', 'hash', attribute, 'other-seed'));
+});
+
+test('maskValue keeps null values and masks array items', () => {
+    assert.equal(maskValue(null, 'fake', attr('string'), seed), null);
+    const masked = maskValue(['a', 'b'], 'redact', attr('string', { array: true }), seed);
+    assert.deepEqual(masked, ['[REDACTED]', '[REDACTED]']);
+});
+
+test('maskValue applies the null, redact and hash strategies', () => {
+    const attribute = attr('string', { size: 100 });
+    assert.equal(maskValue('secret', 'null', attribute, seed), null);
+    assert.equal(maskValue('secret', 'redact', attribute, seed), '[REDACTED]');
+    assert.match(maskValue('secret', 'hash', attribute, seed), /^[0-9a-f]{64}$/);
+});
+
+test('maskValue preserves the format of strings', () => {
+    const masked = maskValue('AB-1234 cd', 'format', attr('string', { size: 20 }), seed);
+    assert.match(masked, /^[A-Z]{2}-\d{4} [a-z]{2}$/);
+    assert.notEqual(masked, 'AB-1234 cd');
+});
+
+test('maskValue keeps hashed and redacted typed strings valid', () => {
+    const email = attr('string', { format: 'email', size: 254 });
+    assert.match(maskValue('jane@corp.io', 'hash', email, seed), /^[0-9a-f]{32}@example\.com$/);
+    assert.equal(maskValue('jane@corp.io', 'redact', email, seed), 'redacted@example.com');
+    assert.equal(maskValue('192.168.1.5', 'redact', attr('string', { format: 'ip' }), seed), '0.0.0.0');
+    assert.match(maskValue('https://corp.io/x', 'hash', attr('string', { format: 'url' }), seed), /^https:\/\/example\.com\/[0-9a-f]+$/);
+    const status = attr('string', { format: 'enum', elements: ['open', 'closed'] });
+    assert.ok(status.elements.includes(maskValue('open', 'hash', status, seed)));
+});
+
+test('maskValue fakes values of the attribute type within its bounds', () => {
+    assert.match(maskValue('jane@corp.io', 'fake', attr('string', { format: 'email' }), seed), /^user-[0-9a-f]{10}@example\.com$/);
+    assert.match(maskValue('192.168.1.5', 'fake', attr('string', { format: 'ip' }), seed), /^10\.\d+\.\d+\.\d+$/);
+    assert.equal(typeof maskValue(true, 'fake', attr('boolean'), seed), 'boolean');
+
+    for (const value of [1, 2, 3, 4, 5]) {
+        const masked = maskValue(value, 'fake', attr('integer', { min: 10, max: 20 }), seed);
+        assert.ok(Number.isInteger(masked) && masked >= 10 && masked <= 20, `${masked} is out of range`);
+        const negative = maskValue(value, 'fake', attr('integer', { min: -50, max: -40 }), seed);
+        assert.ok(negative >= -50 && negative <= -40, `${negative} is out of range`);
+    }
+    const large = maskValue(7, 'fake', attr('integer', { min: -9223372036854775808, max: 9223372036854775807 }), seed);
+    assert.ok(large >= 0 && large <= 1000000);
+
+    const date = maskValue('2024-06-01T00:00:00.000Z', 'fake', attr('datetime'), seed);
+    assert.ok(Math.abs(Date.parse(date) - Date.parse('2024-06-01T00:00:00.000Z')) <= 366 * 86400000);
+});
+
+test('maskValue hashes numbers and booleans into values of their type within bounds', () => {
+    const integer = attr('integer', { min: 10, max: 20 });
+    const hashes = [1, 2, 3, 4, 5].map(value => maskValue(value, 'hash', integer, seed));
+    for (const masked of hashes) {
+        assert.ok(Number.isInteger(masked) && masked >= 10 && masked <= 20, `${masked} is out of range`);
+    }
+    assert.deepEqual([1, 2, 3, 4, 5].map(value => maskValue(value, 'hash', integer, seed)), hashes);
+    assert.notEqual(maskValue(123456, 'hash', attr('integer'), seed), 123456);
+
+    const price = maskValue(9.99, 'hash', attr('double', { min: 1, max: 5 }), seed);
+    assert.ok(typeof price === 'number' && price >= 1 && price <= 5, `${price} is out of range`);
+    assert.equal(maskValue(9.99, 'hash', attr('double', { min: 1, max: 5 }), seed), price);
+
+    const flags = [true, false].map(value => maskValue(value, 'hash', attr('boolean'), seed));
+    assert.ok(flags.every(flag => typeof flag === 'boolean'));
+    assert.deepEqual(maskValue([true, false], 'hash', attr('boolean', { array: true }), seed), flags);
+});
+
+test('maskValue redacts numbers and booleans into fixed valid values', () => {
+    assert.equal(maskValue(42, 'redact', attr('integer'), seed), 0);
+    assert.equal(maskValue(42, 'redact', attr('integer', { min: 10, max: 20 }), seed), 10);
+    assert.equal(maskValue(-42, 'redact', attr('integer', { min: -50, max: -40 }), seed), -40);
+    assert.equal(maskValue(3.5, 'redact', attr('double', { min: 1.5, max: 5 }), seed), 1.5);
+    assert.equal(maskValue(true, 'redact', attr('boolean'), seed), false);
+    assert.deepEqual(maskValue([7, 8], 'redact', attr('integer', { array: true }), seed), [0, 0]);
+});
+
+test('maskValue stays within the attribute size', () => {
+    assert.equal(maskValue('secret', 'hash', attr('string', { size: 8 }), seed).length, 8);
+});
@@ -0,0 +1,61 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createSourceDatabase, StubDatabases } from './stub-databases.js';
+
+process.chdir(mkdtempSync(join(tmpdir(), 'mirror-test-')));
+const { config, cloneDatabase } = await import('../index.js');
+mock.method(console, 'log', () => {});
+afterEach(() => { config.hooks = null; });
+
+// Source and destination holding the same ten documents
+async function createMirroredPair() {
+    const source = await createSourceDatabase('items', Array.from({ length: 10 }, (_, i) => ({ $id: `d${i}`, name: `n${i}` })));
+    const destination = new StubDatabases();
+    destination.database('dst');
+    await cloneDatabase(source, destination, 'src', 'dst');
+    destination.calls = [];
+    return { source, destination };
+}
+
+test('a mirror aborts before writing anything when too much would be deleted', async () => {
+    const { source, destination } = await createMirroredPair();
+    source.collection('src', 'items').documents.splice(0, 2);
+    source.documents('src', 'items')[0].name = 'changed';
+
+    await assert.rejects(
+        cloneDatabase(source, destination, 'src', 'dst', { cloneStructure: false, mirror: true, maxDeletePercent: 10 }),
+        /Mirror aborted: 2 of 10 documents \(20\.0%\)/
+    );
+    assert.deepEqual(destination.calls, []);
+});
+
+test('a mirror deletes documents removed from the source up to the threshold', async () => {
+    const { source, destination } = await createMirroredPair();
+    source.collection('src', 'items').documents.splice(0, 1);
+
+    const results = await cloneDatabase(source, destination, 'src', 'dst', { cloneStructure: false, mirror: true, maxDeletePercent: 10 });
+    assert.equal(results.documents.deleted, 1);
+    assert.deepEqual(destination.calls, [['deleteDocument', 'items', 'd0']]);
+});
+
+test('a mirror keeps the destination copies of documents that failed or were filtered out by hooks', async () => {
+    const { source, destination } = await createMirroredPair();
+    source.collection('src', 'items').documents.splice(0, 1);
+    config.hooks = {
+        filterDocument: (collectionId, data) => data.name !== 'n1',
+        transformDocument: (collectionId, data) => {
+            if (data.name === 'n2') throw new Error('bad record');
+            return data;
+        }
+    };
+
+    const results = await cloneDatabase(source, destination, 'src', 'dst', { cloneStructure: false, mirror: true, maxDeletePercent: 10 });
+    assert.equal(results.documents.failed, 1);
+    assert.equal(results.documents.filteredOut, 1);
+    assert.deepEqual(destination.calls.filter(([method]) => method === 'deleteDocument'), [['deleteDocument', 'items', 'd0']]);
+    assert.ok(destination.documents('dst', 'items').some(document => document.$id === 'd1'));
+    assert.ok(destination.documents('dst', 'items').some(document => document.$id === 'd2'));
+});
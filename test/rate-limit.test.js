@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { Databases } from 'node-appwrite';
+import { parseRetryAfter, createRateLimiter, createWorkerPool, callWithRetry, withRetry, createClient } from '../index.js';
+import { appwriteError } from './stub-databases.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+    const now = Date.parse('2024-01-01T00:00:00Z');
+    assert.equal(parseRetryAfter('2', now), 2000);
+    assert.equal(parseRetryAfter(' 0 ', now), 0);
+    assert.equal(parseRetryAfter('Mon, 01 Jan 2024 00:00:05 GMT', now), 5000);
+    assert.equal(parseRetryAfter('Sun, 31 Dec 2023 23:59:00 GMT', now), 0);
+    assert.equal(parseRetryAfter('soon', now), null);
+    assert.equal(parseRetryAfter(null, now), null);
+});
+
+test('the worker pool never runs more tasks than the limiter allows', async () => {
+    const limiter = createRateLimiter(3);
+    const pool = createWorkerPool(limiter);
+    let running = 0;
+    let peak = 0;
+    let done = 0;
+
+    for (let i = 0; i < 12; i++) {
+        await pool.submit(async () => {
+            peak = Math.max(peak, ++running);
+            await sleep(5);
+            running--;
+            done++;
+        });
+    }
+    await pool.drain();
+
+    assert.equal(peak, 3);
+    assert.equal(done, 12);
+});
+
+test('the worker pool reports a failed task when drained', async () => {
+    const pool = createWorkerPool(createRateLimiter(2));
+    await pool.submit(async () => {
+        throw new Error('boom');
+    });
+    await assert.rejects(pool.drain(), /boom/);
+});
+
+test('a 429 halves the concurrency, which recovers after a run of successes', async () => {
+    const limiter = createRateLimiter(4);
+    let calls = 0;
+    const fn = async () => {
+        if (calls++ === 0) throw appwriteError('Rate limit', 429);
+        return 'ok';
+    };
+
+    assert.equal(await callWithRetry(fn, { maxAttempts: 3, baseDelay: 1, limiter }), 'ok');
+    assert.equal(limiter.limit, 2);
+    assert.equal(limiter.throttled, 1);
+
+    for (let i = 0; i < 40; i++) {
+        await callWithRetry(async () => 'ok', { maxAttempts: 3, baseDelay: 1, limiter });
+    }
+    assert.equal(limiter.limit, 3);
+});
+
+test('retries wait for the Retry-After delay of 429 and 503 responses', async () => {
+    for (const code of [429, 503]) {
+        let calls = 0;
+        const fn = async () => {
+            if (calls++ === 0) throw Object.assign(appwriteError('Slow down', code), { retryAfterMs: 200 });
+            return 'ok';
+        };
+        const started = Date.now();
+        assert.equal(await callWithRetry(fn, { maxAttempts: 3, baseDelay: 1 }), 'ok');
+        assert.ok(Date.now() - started >= 190, `${code} retried after ${Date.now() - started}ms`);
+    }
+});
+
+test('the client reads Retry-After from Appwrite responses', async () => {
+    let requests = 0;
+    const server = createServer((request, response) => {
+        const status = [429, 200, 503][requests++];
+        if (status !== 200) {
+            response.writeHead(status, { 'content-type': 'application/json', 'retry-after': status === 429 ? '1' : '2' });
+            response.end(JSON.stringify({ message: 'Try again later', code: status, type: 'general_rate_limit_exceeded' }));
+            return;
+        }
+        response.writeHead(200, { 'content-type': 'application/json' });
+        response.end(JSON.stringify({ $id: 'db', name: 'Database' }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+        const client = createClient({ endpoint: `http://127.0.0.1:${server.address().port}/v1`, projectId: 'p', apiKey: 'k' });
+        const databases = withRetry(new Databases(client), { maxAttempts: 3, baseDelay: 1 });
+        const started = Date.now();
+        assert.deepEqual(await databases.get('db'), { $id: 'db', name: 'Database' });
+        assert.equal(requests, 2);
+        assert.ok(Date.now() - started >= 950, `retried after ${Date.now() - started}ms`);
+
+        await assert.rejects(new Databases(client).get('db'), { code: 503, message: 'Try again later', retryAfterMs: 2000 });
+    } finally {
+        server.close();
+    }
+});
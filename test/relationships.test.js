@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { orderCollectionsByDependency } from '../index.js';
+
+const relationship = (relatedCollection, side = 'parent') => ({ type: 'relationship', relatedCollection, side });
+
+test('orderCollectionsByDependency puts referenced collections first', () => {
+    const order = orderCollectionsByDependency(['items', 'orders', 'customers'], {
+        items: [relationship('orders')],
+        orders: [relationship('customers')],
+        customers: [],
+    });
+    assert.deepEqual(order, ['customers', 'orders', 'items']);
+});
+
+test('orderCollectionsByDependency ignores child sides, self references and collections outside the set', () => {
+    const order = orderCollectionsByDependency(['authors', 'books', 'categories'], {
+        authors: [relationship('books', 'child')],
+        books: [relationship('authors'), relationship('publishers')],
+        categories: [relationship('categories')],
+    });
+    assert.deepEqual(order, ['authors', 'books', 'categories']);
+});
+
+test('orderCollectionsByDependency breaks cycles in the original order', () => {
+    const order = orderCollectionsByDependency(['a', 'b', 'c'], {
+        a: [relationship('b')],
+        b: [relationship('a')],
+        c: [relationship('a')],
+    });
+    assert.deepEqual(order, ['a', 'b', 'c']);
+});
+
+test('orderCollectionsByDependency keeps collections without relationships in order', () => {
+    assert.deepEqual(orderCollectionsByDependency(['x', 'y'], {}), ['x', 'y']);
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter, createRetryStats, callWithRetry, withRetry } from '../index.js';
+import { appwriteError, StubDatabases } from './stub-databases.js';
+
+// A function failing with the given errors before returning 'ok'
+function failing(...errors) {
+    const fn = async () => {
+        fn.calls++;
+        if (errors.length > 0) throw errors.shift();
+        return 'ok';
+    };
+    fn.calls = 0;
+    return fn;
+}
+
+const networkError = () => Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNRESET' } });
+
+test('transient errors are retried and counted', async () => {
+    const stats = createRetryStats();
+    const fn = failing(appwriteError('Server error', 500), networkError(), appwriteError('Bad gateway', 502));
+
+    assert.equal(await callWithRetry(fn, { maxAttempts: 4, baseDelay: 1, stats }), 'ok');
+    assert.equal(fn.calls, 4);
+    assert.deepEqual(stats, { calls: 1, retries: 3, recovered: 1, exhausted: 0, byReason: { 500: 1, ECONNRESET: 1, 502: 1 } });
+});
+
+test('retries stop after the maximum number of attempts', async () => {
+    const stats = createRetryStats();
+    const fn = failing(...Array.from({ length: 5 }, () => appwriteError('Unavailable', 503)));
+
+    await assert.rejects(callWithRetry(fn, { maxAttempts: 3, baseDelay: 1, stats }), { code: 503 });
+    assert.equal(fn.calls, 3);
+    assert.equal(stats.exhausted, 1);
+});
+
+test('fatal errors are not retried', async () => {
+    for (const code of [400, 401, 404, 409]) {
+        const fn = failing(appwriteError('Fatal', code));
+        await assert.rejects(callWithRetry(fn, { maxAttempts: 3, baseDelay: 1 }), { code });
+        assert.equal(fn.calls, 1);
+    }
+});
+
+test('a Retry-After hint pauses the limiter without halving it for 503s', async () => {
+    const limiter = createRateLimiter(4);
+    const hinted = failing(Object.assign(appwriteError('Unavailable', 503), { retryAfterMs: 300 }));
+    const started = Date.now();
+    const first = callWithRetry(hinted, { maxAttempts: 3, baseDelay: 1, limiter });
+
+    // Other calls wait for the pause too
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.ok(limiter.pausedUntil >= started + 290);
+    assert.equal(await callWithRetry(async () => 'other', { maxAttempts: 3, baseDelay: 1, limiter }), 'other');
+    assert.ok(Date.now() - started >= 290);
+
+    assert.equal(await first, 'ok');
+    assert.equal(limiter.limit, 4);
+});
+
+test('a longer Retry-After extends the current pause', async () => {
+    const limiter = createRateLimiter(4);
+    limiter.pausedUntil = Date.now() + 50;
+    const started = Date.now();
+    const fn = failing(Object.assign(appwriteError('Rate limit', 429), { retryAfterMs: 250 }));
+
+    await callWithRetry(fn, { maxAttempts: 3, baseDelay: 1, limiter });
+    assert.ok(Date.now() - started >= 240);
+});
+
+test('a create that hits 409 after a lost response returns the created resource', async () => {
+    const databases = new StubDatabases();
+    databases.database('db');
+    await databases.createCollection('db', 'items', 'Items');
+
+    // The first attempt is applied, but its response never arrives
+    const createDocument = databases.createDocument.bind(databases);
+    let attempts = 0;
+    databases.createDocument = async (...args) => {
+        const document = await createDocument(...args);
+        if (attempts++ === 0) throw networkError();
+        return document;
+    };
+
+    const stats = createRetryStats();
+    const wrapped = withRetry(databases, { maxAttempts: 3, baseDelay: 1, stats });
+    const document = await wrapped.createDocument('db', 'items', 'doc1', { name: 'x' });
+
+    assert.equal(document.$id, 'doc1');
+    assert.equal(databases.documents('db', 'items').length, 1);
+    assert.equal(stats.recovered, 1);
+});
+
+test('a 409 after a retry is rethrown when the resource does not exist', async () => {
+    const databases = {
+        createDocument: failing(appwriteError('Server error', 500), appwriteError('Unique index conflict', 409)),
+        getDocument: async () => {
+            throw appwriteError('Document not found', 404);
+        }
+    };
+    const wrapped = withRetry(databases, { maxAttempts: 3, baseDelay: 1 });
+
+    await assert.rejects(wrapped.createDocument('db', 'items', 'doc1', {}), { code: 409 });
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StubDatabases } from './stub-databases.js';
+import { updateAttribute } from '../index.js';
+
+async function createDestination() {
+    const databases = new StubDatabases();
+    await databases.createCollection('dest', 'items', 'items');
+    await databases.createIntegerAttribute('dest', 'items', 'count', false, 0, 100);
+    await databases.createFloatAttribute('dest', 'items', 'price', false, undefined, undefined);
+    return databases;
+}
+
+test('updateAttribute falls back to the destination bounds when the source leaves one out', async () => {
+    const databases = await createDestination();
+    await updateAttribute(databases, 'dest', 'items', { key: 'count', type: 'integer', required: false, max: 50, default: 5 },
+        databases.collection('dest', 'items').attributes.find(a => a.key === 'count'));
+
+    const count = databases.collection('dest', 'items').attributes.find(a => a.key === 'count');
+    assert.equal(count.min, 0);
+    assert.equal(count.max, 50);
+    assert.equal(count.default, 5);
+});
+
+test('updateAttribute falls back to the type limits without bounds on either side', async () => {
+    const databases = await createDestination();
+    await updateAttribute(databases, 'dest', 'items', { key: 'price', type: 'double', required: true });
+    await updateAttribute(databases, 'dest', 'items', { key: 'count', type: 'integer', required: true }, { key: 'count' });
+
+    const [count, price] = databases.collection('dest', 'items').attributes;
+    assert.deepEqual([price.min, price.max, price.required], [-Number.MAX_VALUE, Number.MAX_VALUE, true]);
+    assert.deepEqual([count.min, count.max, count.default], [Number.MIN_SAFE_INTEGER, Number.MAX_SAFE_INTEGER, null]);
+});
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { quoteSQLIdentifier, toSQLLiteral, buildSQLTablePlan, buildCreateTableSQL, buildInsertSQL } from '../index.js';
+
+test('quoteSQLIdentifier double-quotes names and escapes embedded quotes', () => {
+    assert.equal(quoteSQLIdentifier('orders'), '"orders"');
+    assert.equal(quoteSQLIdentifier('$id'), '"$id"');
+    assert.equal(quoteSQLIdentifier('we"ird'), '"we""ird"');
+});
+
+test('toSQLLiteral quotes strings and converts other values', () => {
+    assert.equal(toSQLLiteral("O'Brien"), "'O''Brien'");
+    assert.equal(toSQLLiteral(null), 'NULL');
+    assert.equal(toSQLLiteral(undefined), 'NULL');
+    assert.equal(toSQLLiteral(true), 'TRUE');
+    assert.equal(toSQLLiteral(false), 'FALSE');
+    assert.equal(toSQLLiteral(4.5), '4.5');
+    assert.equal(toSQLLiteral(NaN), 'NULL');
+    assert.equal(toSQLLiteral(['it\'s', 'b']), `'["it''s","b"]'`);
+    assert.equal(toSQLLiteral({ a: 1 }), `'{"a":1}'`);
+});
+
+test('buildSQLTablePlan maps attribute types to columns', () => {
+    const plan = buildSQLTablePlan({ $id: 'books' }, [
+        { key: 'title', type: 'string', size: 200 },
+        { key: 'pages', type: 'integer' },
+        { key: 'price', type: 'double' },
+        { key: 'inPrint', type: 'boolean' },
+        { key: 'published', type: 'datetime' },
+        { key: 'tags', type: 'string', size: 20, array: true },
+        { key: 'state', type: 'string', format: 'enum', elements: ['draft', "it's live"] },
+    ], false);
+    assert.equal(plan.table, 'books');
+    assert.deepEqual(plan.columns, [
+        { key: '$id', type: 'VARCHAR(36) PRIMARY KEY' },
+        { key: 'title', type: 'VARCHAR(200)' },
+        { key: 'pages', type: 'BIGINT' },
+        { key: 'price', type: 'DOUBLE PRECISION' },
+        { key: 'inPrint', type: 'BOOLEAN' },
+        { key: 'published', type: 'TIMESTAMP WITH TIME ZONE' },
+        { key: 'tags', type: 'TEXT' },
+        { key: 'state', type: `VARCHAR(9) CHECK ("state" IN ('draft', 'it''s live'))` },
+    ]);
+    assert.deepEqual(plan.joinTables, []);
+});
+
+test('buildSQLTablePlan adds system columns when requested', () => {
+    const plan = buildSQLTablePlan({ $id: 'books' }, [], true);
+    assert.deepEqual(plan.columns.map(column => column.key), ['$id', '$collectionId', '$databaseId', '$createdAt', '$updatedAt', '$permissions', '$sequence']);
+});
+
+test('buildSQLTablePlan stores single relationships as columns and lists in join tables', () => {
+    const plan = buildSQLTablePlan({ $id: 'books' }, [
+        { key: 'author', type: 'relationship', relationType: 'manyToOne', twoWay: true, side: 'parent', relatedCollection: 'authors' },
+        { key: 'genres', type: 'relationship', relationType: 'manyToMany', twoWay: true, side: 'parent', relatedCollection: 'genres' },
+        { key: 'related', type: 'relationship', relationType: 'oneToMany', twoWay: false, side: 'parent', relatedCollection: 'books' },
+        { key: 'chapters', type: 'relationship', relationType: 'oneToMany', twoWay: true, side: 'parent', relatedCollection: 'chapters' },
+        { key: 'series', type: 'relationship', relationType: 'manyToMany', twoWay: true, side: 'child', relatedCollection: 'series' },
+    ], false);
+    assert.deepEqual(plan.columns, [
+        { key: '$id', type: 'VARCHAR(36) PRIMARY KEY' },
+        { key: 'author', type: 'VARCHAR(36)' },
+    ]);
+    assert.deepEqual(plan.joinTables, [
+        { key: 'genres', table: 'books_genres', sourceColumn: 'books_id', targetColumn: 'genres_id' },
+        { key: 'related', table: 'books_related', sourceColumn: 'books_id', targetColumn: 'related_id' },
+    ]);
+});
+
+test('buildCreateTableSQL and buildInsertSQL quote identifiers and values', () => {
+    const plan = buildSQLTablePlan({ $id: 'my"books' }, [
+        { key: 'title', type: 'string', size: 50 },
+        { key: 'genres', type: 'relationship', relationType: 'manyToMany', twoWay: false, side: 'parent', relatedCollection: 'genres' },
+    ], false);
+
+    assert.equal(buildCreateTableSQL(plan), [
+        'CREATE TABLE "my""books" (',
+        '    "$id" VARCHAR(36) PRIMARY KEY,',
+        '    "title" VARCHAR(50)',
+        ');',
+        '',
+        'CREATE TABLE "my""books_genres" (',
+        '    "my""books_id" VARCHAR(36) NOT NULL,',
+        '    "genres_id" VARCHAR(36) NOT NULL,',
+        '    PRIMARY KEY ("my""books_id", "genres_id")',
+        ');',
+    ].join('\n'));
+
+    assert.equal(buildInsertSQL(plan, [
+        { $id: 'b1', title: "Let's go", genres: ['g1', 'g2'] },
+        { $id: 'b2', title: null, genres: [] },
+    ]), [
+        'INSERT INTO "my""books" ("$id", "title") VALUES',
+        "    ('b1', 'Let''s go'),",
+        "    ('b2', NULL);",
+        'INSERT INTO "my""books_genres" ("my""books_id", "genres_id") VALUES',
+        "    ('b1', 'g1'),",
+        "    ('b1', 'g2');",
+        '',
+    ].join('\n'));
+    assert.equal(buildInsertSQL(plan, []), '');
+});
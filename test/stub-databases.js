@@ -0,0 +1,259 @@
+// In-memory stand-in for node-appwrite's Databases, covering the calls the clone makes
+// Queries are the JSON strings built by node-appwrite's Query helpers
+
+// Build an error shaped like an AppwriteException
+export function appwriteError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+export class StubDatabases {
+    constructor() {
+        this.databases = {};
+        // Every mutating call, as [method, ...args]
+        this.calls = [];
+        // Return an error to throw it from a call: (method, collectionId, documentId) => error or null
+        this.failOn = () => null;
+    }
+
+    database(databaseId) {
+        if (!this.databases[databaseId]) {
+            this.databases[databaseId] = { name: databaseId, collections: {} };
+        }
+        return this.databases[databaseId];
+    }
+
+    collection(databaseId, collectionId) {
+        const collection = this.database(databaseId).collections[collectionId];
+        if (!collection) {
+            throw appwriteError('Collection with the requested ID could not be found.', 404);
+        }
+        return collection;
+    }
+
+    // Documents of a collection, for assertions
+    documents(databaseId, collectionId) {
+        return this.collection(databaseId, collectionId).documents;
+    }
+
+    // Apply filter, order, cursor and limit queries to a list
+    page(items, queries = [], keyOf = item => item.$id) {
+        const parsed = queries.map(query => JSON.parse(query));
+        let list = items;
+        for (const { method, attribute, values } of parsed) {
+            if (method === 'equal') list = list.filter(item => values.includes(item[attribute]));
+            if (method === 'greaterThan') list = list.filter(item => item[attribute] > values[0]);
+            if (method === 'greaterThanEqual') list = list.filter(item => item[attribute] >= values[0]);
+            if (method === 'lessThan') list = list.filter(item => item[attribute] < values[0]);
+        }
+        const orders = parsed.filter(query => query.method === 'orderAsc');
+        if (orders.length > 0) {
+            list = [...list].sort((a, b) => {
+                for (const { attribute } of orders) {
+                    if (a[attribute] !== b[attribute]) return a[attribute] < b[attribute] ? -1 : 1;
+                }
+                return 0;
+            });
+        }
+        const total = list.length;
+        const after = parsed.find(query => query.method === 'cursorAfter');
+        if (after) {
+            list = list.slice(list.findIndex(item => keyOf(item) === after.values[0]) + 1);
+        }
+        const limit = parsed.find(query => query.method === 'limit');
+        return { total, list: list.slice(0, limit ? limit.values[0] : 25) };
+    }
+
+    fail(method, collectionId, documentId) {
+        const error = this.failOn(method, collectionId, documentId);
+        if (error) throw error;
+    }
+
+    async get(databaseId) {
+        if (!this.databases[databaseId]) {
+            throw appwriteError('Database not found', 404);
+        }
+        return { $id: databaseId, name: this.databases[databaseId].name };
+    }
+
+    async listCollections(databaseId, queries) {
+        const { total, list } = this.page(Object.values(this.database(databaseId).collections).map(c => c.meta), queries);
+        return { total, collections: list };
+    }
+
+    async getCollection(databaseId, collectionId) {
+        return this.collection(databaseId, collectionId).meta;
+    }
+
+    async createCollection(databaseId, collectionId, name, permissions = [], documentSecurity = false, enabled = true) {
+        this.calls.push(['createCollection', collectionId]);
+        if (this.database(databaseId).collections[collectionId]) {
+            throw appwriteError('Collection already exists', 409);
+        }
+        const meta = { $id: collectionId, name, $permissions: permissions, documentSecurity, enabled };
+        this.database(databaseId).collections[collectionId] = { meta, attributes: [], indexes: [], documents: [] };
+        return meta;
+    }
+
+    async deleteCollection(databaseId, collectionId) {
+        this.calls.push(['deleteCollection', collectionId]);
+        delete this.database(databaseId).collections[collectionId];
+        return {};
+    }
+
+    async listAttributes(databaseId, collectionId, queries) {
+        const { total, list } = this.page(this.collection(databaseId, collectionId).attributes, queries, a => a.key);
+        return { total, attributes: list };
+    }
+
+    async listIndexes(databaseId, collectionId, queries) {
+        const { total, list } = this.page(this.collection(databaseId, collectionId).indexes, queries, i => i.key);
+        return { total, indexes: list };
+    }
+
+    addAttribute(databaseId, collectionId, attribute) {
+        this.calls.push(['createAttribute', collectionId, attribute.key]);
+        const collection = this.collection(databaseId, collectionId);
+        if (collection.attributes.some(a => a.key === attribute.key)) {
+            throw appwriteError('Attribute already exists', 409);
+        }
+        const created = { status: 'available', required: false, array: false, default: null, ...attribute };
+        collection.attributes.push(created);
+        return created;
+    }
+
+    async createStringAttribute(databaseId, collectionId, key, size, required, xdefault, array) {
+        return this.addAttribute(databaseId, collectionId, { key, type: 'string', size, required, default: xdefault ?? null, array });
+    }
+
+    async createIntegerAttribute(databaseId, collectionId, key, required, min, max, xdefault, array) {
+        return this.addAttribute(databaseId, collectionId, { key, type: 'integer', required, min, max, default: xdefault ?? null, array });
+    }
+
+    async createFloatAttribute(databaseId, collectionId, key, required, min, max, xdefault, array) {
+        return this.addAttribute(databaseId, collectionId, { key, type: 'double', required, min, max, default: xdefault ?? null, array });
+    }
+
+    async createBooleanAttribute(databaseId, collectionId, key, required, xdefault, array) {
+        return this.addAttribute(databaseId, collectionId, { key, type: 'boolean', required, default: xdefault ?? null, array });
+    }
+
+    async createDatetimeAttribute(databaseId, collectionId, key, required, xdefault, array) {
+        return this.addAttribute(databaseId, collectionId, { key, type: 'datetime', required, default: xdefault ?? null, array });
+    }
+
+    async createRelationshipAttribute(databaseId, collectionId, relatedCollection, relationType, twoWay, key, twoWayKey, onDelete) {
+        const attribute = this.addAttribute(databaseId, collectionId, {
+            key, type: 'relationship', relatedCollection, relationType, twoWay, twoWayKey, onDelete, side: 'parent'
+        });
+        if (twoWay) {
+            this.collection(databaseId, relatedCollection).attributes.push({
+                key: twoWayKey, type: 'relationship', relatedCollection: collectionId, relationType, twoWay,
+                twoWayKey: key, onDelete, side: 'child', status: 'available', required: false, array: false, default: null
+            });
+        }
+        return attribute;
+    }
+
+    updateAttribute(databaseId, collectionId, key, props) {
+        this.calls.push(['updateAttribute', collectionId, key]);
+        const attribute = this.collection(databaseId, collectionId).attributes.find(a => a.key === key);
+        if (!attribute) {
+            throw appwriteError('Attribute with the requested ID could not be found.', 404);
+        }
+        for (const [prop, value] of Object.entries(props)) {
+            if (value === undefined) {
+                throw appwriteError(`Missing required parameter: "${prop}"`, 400);
+            }
+        }
+        return Object.assign(attribute, props);
+    }
+
+    async updateIntegerAttribute(databaseId, collectionId, key, required, min, max, xdefault) {
+        return this.updateAttribute(databaseId, collectionId, key, { required, min, max, default: xdefault });
+    }
+
+    async updateFloatAttribute(databaseId, collectionId, key, required, min, max, xdefault) {
+        return this.updateAttribute(databaseId, collectionId, key, { required, min, max, default: xdefault });
+    }
+
+    async updateStringAttribute(databaseId, collectionId, key, required, xdefault) {
+        return this.updateAttribute(databaseId, collectionId, key, { required, default: xdefault });
+    }
+
+    async createIndex(databaseId, collectionId, key, type, attributes, orders) {
+        this.calls.push(['createIndex', collectionId, key]);
+        const collection = this.collection(databaseId, collectionId);
+        if (collection.indexes.some(index => index.key === key)) {
+            throw appwriteError('Index already exists', 409);
+        }
+        collection.indexes.push({ key, type, attributes, orders, status: 'available' });
+        return {};
+    }
+
+    async listDocuments(databaseId, collectionId, queries) {
+        const { total, list } = this.page(this.collection(databaseId, collectionId).documents, queries);
+        return { total, documents: structuredClone(list) };
+    }
+
+    async getDocument(databaseId, collectionId, documentId) {
+        const document = this.collection(databaseId, collectionId).documents.find(d => d.$id === documentId);
+        if (!document) {
+            throw appwriteError('Document with the requested ID could not be found.', 404);
+        }
+        return structuredClone(document);
+    }
+
+    async createDocument(databaseId, collectionId, documentId, data, permissions) {
+        this.calls.push(['createDocument', collectionId, documentId]);
+        this.fail('createDocument', collectionId, documentId);
+        const collection = this.collection(databaseId, collectionId);
+        const id = documentId === 'unique()' ? `doc${collection.documents.length}_${Math.random().toString(36).slice(2, 10)}` : documentId;
+        if (collection.documents.some(d => d.$id === id)) {
+            throw appwriteError('Document with the requested ID already exists.', 409);
+        }
+        const now = new Date().toISOString();
+        const document = {
+            $id: id, $collectionId: collectionId, $databaseId: databaseId, $createdAt: now, $updatedAt: now,
+            $permissions: permissions ?? [], ...data
+        };
+        collection.documents.push(document);
+        return structuredClone(document);
+    }
+
+    async updateDocument(databaseId, collectionId, documentId, data, permissions) {
+        this.calls.push(['updateDocument', collectionId, documentId]);
+        this.fail('updateDocument', collectionId, documentId);
+        const document = this.collection(databaseId, collectionId).documents.find(d => d.$id === documentId);
+        if (!document) {
+            throw appwriteError('Document with the requested ID could not be found.', 404);
+        }
+        Object.assign(document, data, { $updatedAt: new Date().toISOString() });
+        if (permissions) {
+            document.$permissions = permissions;
+        }
+        return structuredClone(document);
+    }
+
+    async deleteDocument(databaseId, collectionId, documentId) {
+        this.calls.push(['deleteDocument', collectionId, documentId]);
+        this.fail('deleteDocument', collectionId, documentId);
+        const collection = this.collection(databaseId, collectionId);
+        collection.documents = collection.documents.filter(d => d.$id !== documentId);
+        return {};
+    }
+}
+
+// Source database "src" with a collection of the given documents (string "name" attribute)
+export async function createSourceDatabase(collectionId, documents) {
+    const databases = new StubDatabases();
+    databases.database('src');
+    await databases.createCollection('src', collectionId, collectionId);
+    await databases.createStringAttribute('src', collectionId, 'name', 100, false);
+    databases.collection('src', collectionId).documents.push(...documents.map(document => ({
+        $collectionId: collectionId, $databaseId: 'src', $permissions: [], ...document
+    })));
+    databases.calls = [];
+    return databases;
+}
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StubDatabases } from './stub-databases.js';
+import { buildSubset } from '../index.js';
+
+// Orders reference a customer (two-way, customers.orders is the child side) and products,
+// products reference a supplier outside the clone
+async function createShop() {
+    const databases = new StubDatabases();
+    for (const id of ['customers', 'orders', 'products']) {
+        await databases.createCollection('shop', id, id);
+    }
+    await databases.createRelationshipAttribute('shop', 'orders', 'customers', 'manyToOne', true, 'customer', 'orders', 'setNull');
+    await databases.createRelationshipAttribute('shop', 'orders', 'products', 'manyToMany', false, 'products', null, 'setNull');
+    databases.collection('shop', 'products').attributes.push({ key: 'supplier', type: 'relationship', relatedCollection: 'suppliers', side: 'parent' });
+
+    const docs = (collectionId, list) => databases.collection('shop', collectionId).documents.push(...list);
+    docs('customers', [
+        { $id: 'c1', orders: ['o1', 'o2'] },
+        { $id: 'c2', orders: ['o3'] },
+        { $id: 'c3', orders: [] },
+    ]);
+    docs('orders', [
+        { $id: 'o1', customer: 'c1', products: ['p1'] },
+        { $id: 'o2', customer: 'c1', products: [{ $id: 'p2' }] },
+        { $id: 'o3', customer: 'c2', products: ['p1', 'p3'] },
+    ]);
+    docs('products', [
+        { $id: 'p1', supplier: 's1' },
+        { $id: 'p2', supplier: null },
+        { $id: 'p3', supplier: null },
+    ]);
+    const collections = Object.values(databases.database('shop').collections).map(collection => collection.meta);
+    return { databases, collections };
+}
+
+const root = (sample = null, filters = []) => ({ sample, filters });
+
+test('buildSubset follows parent-side relationships transitively', async () => {
+    const { databases, collections } = await createShop();
+    const { subset, warnings } = await buildSubset(databases, 'shop', collections, {
+        seed: 'seed', roots: { orders: root(null, ['{"method":"equal","attribute":"$id","values":["o3"]}']) }
+    });
+
+    assert.deepEqual(subset, { orders: ['o3'], customers: ['c2'], products: ['p1', 'p3'] });
+    assert.deepEqual(warnings, [
+        { collection: 'products', item: 'supplier', message: 'References collection "suppliers" which is not cloned' }
+    ]);
+});
+
+test('buildSubset follows child sides of root documents to the documents that reference them', async () => {
+    const { databases, collections } = await createShop();
+    const { subset } = await buildSubset(databases, 'shop', collections, {
+        seed: 'seed', roots: { customers: root(null, ['{"method":"equal","attribute":"$id","values":["c1"]}']) }
+    });
+
+    // o1 and o2 come in through the child side; their products and customer through the parent sides
+    assert.deepEqual(subset, { customers: ['c1'], orders: ['o1', 'o2'], products: ['p1', 'p2'] });
+});
+
+test('a sample count keeps the same lowest ranked documents for a seed', async () => {
+    const databases = new StubDatabases();
+    await databases.createCollection('shop', 'items', 'items');
+    databases.collection('shop', 'items').documents.push(...Array.from({ length: 200 }, (_, i) => ({ $id: `i${i}` })));
+    const collections = [databases.database('shop').collections.items.meta];
+    const sample = async (count, seed) =>
+        (await buildSubset(databases, 'shop', collections, { seed, roots: { items: root(count) } })).subset.items;
+
+    const five = await sample(5, 'a');
+    assert.equal(five.length, 5);
+    assert.deepEqual(await sample(5, 'a'), five);
+    // The five lowest ranks are also among the twenty lowest
+    const twenty = await sample(20, 'a');
+    assert.equal(twenty.length, 20);
+    assert.ok(five.every(id => twenty.includes(id)));
+    assert.notDeepEqual(await sample(5, 'b'), five);
+    assert.equal((await sample(500, 'a')).length, 200);
+});